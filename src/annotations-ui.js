@@ -0,0 +1,194 @@
+// Annotation UI: inline rendering in the reader, selection-toolbar actions,
+// the note editor and the drawer panel (filter, export, import).
+// Annotations are stored with English verse numbers (versification.js): toStandard maps the reader's
+// numbers to them, and linkFor takes them back.
+
+import { COLORS, verseKey, parseVerseKey } from './annotations.js';
+import { renderMarkdown, markdownPreview } from './markdown.js';
+import { h, drawerPanel, downloadJSON, pickFile } from './ui.js';
+
+// ctx: { reader, drawer, selection, annotations, linkFor(book, chapter, verse), toStandard({ book, chapter, verse }) }
+export function setupAnnotations(ctx){
+  const { selection, annotations } = ctx;
+  const std = (verses)=> verses.map(ctx.toStandard); // selected verses -> stored numbers
+
+  // --- Toolbar actions
+  for(const color of COLORS){
+    selection.addAction({ label:'', title:`Highlight ${color}`, className:`swatch hl-${color}`,
+      run: async (verses, sel)=>{
+        await annotations.removeOn(std(verses), 'highlight');
+        await annotations.add('highlight', std(verses), { color });
+        sel.clear();
+      } });
+  }
+  selection.addAction({ label:'🔖', title:'Bookmark',
+    run: async (verses, sel)=>{ await annotations.add('bookmark', std(verses)); sel.clear(); } });
+  selection.addAction({ label:'✎', title:'Add note',
+    run: async (verses, sel)=>{
+      const res = await editNote({ note:'', tags:[] });
+      if(!res) return;
+      await annotations.add('note', std(verses), res);
+      sel.clear();
+    } });
+  selection.addAction({ label:'Remove', title:'Remove highlights, bookmarks and notes on the selected verses',
+    run: async (verses, sel)=>{
+      if(!confirm(`Remove all annotations on ${verses.length} verse${verses.length === 1 ? '' : 's'}?`)) return;
+      await annotations.removeOn(std(verses));
+      sel.clear();
+    } });
+
+  const panel = setupPanel(ctx);
+  annotations.addEventListener('change', ()=>{ decorate(ctx); panel.refresh(); });
+  return { decorate: ()=> decorate(ctx) };
+}
+
+// Apply highlights/bookmarks/notes to the `.verse` spans currently in the reader
+async function decorate({ reader, annotations, toStandard }){
+  const spans = Array.from(reader.querySelectorAll('.verse[data-verse]'));
+  const refs = new Map(spans.map(s=> [s, toStandard({ book:s.dataset.book, chapter:Number(s.dataset.chapter), verse:Number(s.dataset.verse) })]));
+  const chapters = new Map(); // "book|chapter" -> [book, chapter]
+  for(const { book, chapter } of refs.values()) chapters.set(`${book}|${chapter}`, [book, chapter]);
+  const recs = (await Promise.all(Array.from(chapters.values(), ([b, c])=> annotations.forChapter(b, c)))).flat();
+
+  const byKey = new Map();
+  for(const r of recs) for(const k of r.verses){
+    if(!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(r);
+  }
+  for(const span of spans){
+    span.querySelectorAll('.ann-mark').forEach(m=> m.remove());
+    for(const c of COLORS) span.classList.remove(`hl-${c}`);
+    const ref = refs.get(span);
+    const key = verseKey(ref.book, ref.chapter, ref.verse);
+    const list = byKey.get(key) || [];
+    const hl = list.filter(r=> r.type === 'highlight').sort((a,b)=> b.updated - a.updated)[0];
+    if(hl) span.classList.add(`hl-${hl.color}`);
+    if(list.some(r=> r.type === 'bookmark')){
+      span.querySelector('.vnum')?.before(h('span', { className:'ann-mark ann-bookmark', title:'Bookmarked', 'aria-label':'Bookmarked' }, '🔖'));
+    }
+    // A note spanning several verses is shown once, after its last verse
+    for(const note of list.filter(r=> r.type === 'note' && r.verses[r.verses.length-1] === key)){
+      span.appendChild(h('button', { type:'button', className:'ann-mark ann-note', title: markdownPreview(note.note) || 'Note',
+        onclick: ()=> showNote(note, annotations) }, '✎'));
+    }
+  }
+}
+
+async function showNote(note, annotations){
+  const res = await editNote(note, { allowDelete:true });
+  if(res === 'delete') await annotations.remove(note.id);
+  else if(res) await annotations.update(note.id, res);
+}
+
+// Modal editor with live Markdown preview -> { note, tags } | 'delete' | null
+function editNote(note, { allowDelete=false }={}){
+  return new Promise((resolve)=>{
+    const text = h('textarea', { rows:6, placeholder:'Markdown: **bold**, *italic*, - lists, [links](https://…)' });
+    text.value = note.note || '';
+    const tags = h('input', { type:'text', placeholder:'tags, comma separated' });
+    tags.value = (note.tags || []).join(', ');
+    const preview = h('div', { className:'note-preview' });
+    const update = ()=>{ preview.innerHTML = renderMarkdown(text.value); };
+    text.addEventListener('input', update); update();
+    const dlg = h('dialog', { className:'note-dialog' },
+      h('form', { method:'dialog' },
+        h('h2', null, note.id ? 'Edit note' : 'New note'),
+        text, tags, preview,
+        h('div', { className:'row' },
+          allowDelete ? h('button', { value:'delete', className:'ghost danger' }, 'Delete') : h('span'),
+          h('span', null,
+            h('button', { value:'cancel', className:'ghost' }, 'Cancel'),
+            h('button', { value:'save', className:'ghost' }, 'Save')))));
+    dlg.addEventListener('close', ()=>{
+      const v = dlg.returnValue;
+      dlg.remove();
+      if(v === 'save') resolve({ note:text.value, tags:tags.value.split(',') });
+      else if(v === 'delete') resolve(confirm('Delete this note?') ? 'delete' : null);
+      else resolve(null);
+    });
+    document.body.appendChild(dlg);
+    dlg.showModal();
+    text.focus();
+  });
+}
+
+// --- Drawer panel
+function setupPanel({ drawer, annotations, linkFor }){
+  const body = drawerPanel(drawer, 'Highlights & notes', { id:'annotationsPanel' });
+  const bookSel = h('select', { 'aria-label':'Filter by book' });
+  const colorSel = h('select', { 'aria-label':'Filter by color or type' });
+  const tagSel = h('select', { 'aria-label':'Filter by tag' });
+  const list = h('ol', { className:'ann-list' });
+  const status = h('div', { className:'muted small', role:'status' });
+  const message = h('div', { className:'small', role:'status' });
+  body.append(
+    h('div', { className:'row filters' }, bookSel, colorSel, tagSel),
+    list,
+    h('div', { className:'row' },
+      h('button', { type:'button', className:'ghost', onclick: exportAll }, 'Export JSON'),
+      h('button', { type:'button', className:'ghost', onclick: importFile }, 'Import JSON')),
+    status, message);
+
+  let all = [];
+  for(const sel of [bookSel, colorSel, tagSel]) sel.addEventListener('change', render);
+
+  function fill(sel, first, values){
+    const cur = sel.value;
+    sel.replaceChildren(h('option', { value:'' }, first), ...values.map(([v, label])=> h('option', { value:v }, label)));
+    sel.value = values.some(([v])=> v === cur) ? cur : '';
+  }
+
+  async function refresh(){
+    try{ all = await annotations.all(); }
+    catch(e){ status.textContent = 'Annotations are unavailable (IndexedDB blocked?)'; console.error('[annotations]', e); return; }
+    const books = [...new Set(all.map(r=> r.book))];
+    fill(bookSel, 'All books', books.map(b=> [b, parseVerseKey(`${b}.1.1`)?.book || b]));
+    fill(colorSel, 'All kinds', [...COLORS.map(c=> [`hl:${c}`, `Highlight: ${c}`]), ['bookmark', 'Bookmarks'], ['note', 'Notes']]);
+    fill(tagSel, 'All tags', [...new Set(all.flatMap(r=> r.tags))].sort().map(t=> [t, `#${t}`]));
+    render();
+  }
+
+  function render(){
+    const kind = colorSel.value;
+    const shown = all.filter(r=>
+      (!bookSel.value || r.book === bookSel.value) &&
+      (!tagSel.value || r.tags.includes(tagSel.value)) &&
+      (!kind || (kind.startsWith('hl:') ? r.type === 'highlight' && r.color === kind.slice(3) : r.type === kind)));
+    list.replaceChildren(...shown.map(item));
+    status.textContent = `${shown.length} of ${all.length} annotation${all.length === 1 ? '' : 's'}`;
+  }
+
+  function item(r){
+    const first = parseVerseKey(r.verses[0]), last = parseVerseKey(r.verses[r.verses.length-1]);
+    const name = first.book || first.osis;
+    const label = r.verses.length === 1 ? `${name} ${first.chapter}:${first.verse}`
+      : first.chapter === last.chapter ? `${name} ${first.chapter}:${first.verse}–${last.verse}`
+      : `${name} ${first.chapter}:${first.verse}–${last.chapter}:${last.verse}`;
+    const icon = r.type === 'highlight' ? h('span', { className:`swatch hl-${r.color}`, 'aria-label':`${r.color} highlight` })
+      : h('span', { 'aria-hidden':'true' }, r.type === 'bookmark' ? '🔖' : '✎');
+    return h('li', null,
+      icon, ' ',
+      first.book ? h('a', { href: linkFor(first.book, first.chapter, first.verse) }, label) : label,
+      r.note ? h('div', { className:'small' }, markdownPreview(r.note)) : null,
+      r.tags.length ? h('div', { className:'muted small' }, r.tags.map(t=> `#${t}`).join(' ')) : null,
+      h('button', { type:'button', className:'ghost small', title:'Delete', 'aria-label':`Delete ${label}`,
+        onclick: async ()=>{ if(confirm(`Delete this ${r.type} on ${label}?`)) await annotations.remove(r.id); } }, '✕'));
+  }
+
+  async function exportAll(){
+    downloadJSON(`smoothbible-annotations-${new Date().toISOString().slice(0,10)}.json`, await annotations.exportJSON());
+  }
+  async function importFile(){
+    const file = await pickFile('application/json,.json');
+    if(!file) return;
+    try{
+      const stats = await annotations.importJSON(JSON.parse(await file.text()));
+      message.textContent = `Imported: ${stats.added} new, ${stats.updated} updated, ${stats.skipped} skipped`;
+    }catch(e){
+      message.textContent = `Import failed: ${e.message}`;
+    }
+  }
+
+  refresh();
+  return { refresh };
+}
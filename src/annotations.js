@@ -0,0 +1,138 @@
+// User annotations (highlights, bookmarks, Markdown notes) stored in IndexedDB.
+// Verses are keyed by OSIS id ("John.3.16"), never by dataset position or display
+// name, so annotations survive switching translation or data source.
+//
+// Record: { id, type:'highlight'|'bookmark'|'note', verses:[key], chapters:[key],
+//           book, color?, note?, tags:[], created, updated }
+
+import { openDB, idbGet, idbPut, idbDelete, idbAll } from './idb.js';
+import { osisId, bookFromOsis } from './refs.js';
+
+export const COLORS = ['yellow', 'green', 'blue', 'pink', 'orange'];
+const DB_NAME = 'sb-user';
+const STORE = 'annotations';
+const EXPORT_KIND = 'smoothbible-annotations';
+
+export function verseKey(book, chapter, verse){
+  return `${osisId(book)}.${chapter}.${verse}`;
+}
+export function chapterKey(book, chapter){
+  return `${osisId(book)}.${chapter}`;
+}
+// "John.3.16" -> { book:'John', chapter:3, verse:16 } (book null when unknown)
+export function parseVerseKey(key){
+  const m = String(key).match(/^(.+)\.(\d+)\.(\d+)$/);
+  if(!m) return null;
+  return { book: bookFromOsis(m[1]), osis:m[1], chapter:Number(m[2]), verse:Number(m[3]) };
+}
+
+// Shared user database; other stores are added here as upgrades
+let _db = null;
+export function userDB(){
+  _db ??= openDB(DB_NAME, 3, (db, oldVersion)=>{
+    if(oldVersion < 1){
+      const s = db.createObjectStore(STORE, { keyPath:'id' });
+      s.createIndex('chapter', 'chapters', { multiEntry:true });
+      s.createIndex('book', 'book');
+    }
+    if(oldVersion < 2) db.createObjectStore('plans', { keyPath:'id' });  // plans.js
+    if(oldVersion < 3) db.createObjectStore('history', { keyPath:'key' });  // history.js
+  });
+  return _db;
+}
+
+function newId(){
+  return (crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+}
+
+export class Annotations extends EventTarget{
+  async forChapter(book, chapter){
+    return idbAll(await userDB(), STORE, 'chapter', chapterKey(book, chapter));
+  }
+  async all(){
+    const list = await idbAll(await userDB(), STORE);
+    return list.sort((a,b)=> b.updated - a.updated);
+  }
+
+  // verses: [{ book, chapter, verse }]
+  async add(type, verses, { color=null, note='', tags=[] }={}){
+    if(!verses.length) throw new Error('Select at least one verse');
+    const now = Date.now();
+    const rec = {
+      id: newId(), type,
+      verses: verses.map(v=> verseKey(v.book, v.chapter, v.verse)),
+      chapters: [...new Set(verses.map(v=> chapterKey(v.book, v.chapter)))],
+      book: osisId(verses[0].book),
+      color: type === 'highlight' ? (COLORS.includes(color) ? color : COLORS[0]) : color,
+      note: type === 'note' ? String(note) : '',
+      tags: normTags(tags),
+      created: now, updated: now,
+    };
+    await idbPut(await userDB(), STORE, rec);
+    this._changed();
+    return rec;
+  }
+  async update(id, patch){
+    const db = await userDB();
+    const rec = await idbGet(db, STORE, id);
+    if(!rec) return null;
+    Object.assign(rec, patch, { updated: Date.now() });
+    if(patch.tags) rec.tags = normTags(patch.tags);
+    await idbPut(db, STORE, rec);
+    this._changed();
+    return rec;
+  }
+  async remove(id){
+    await idbDelete(await userDB(), STORE, id);
+    this._changed();
+  }
+  // Drop annotations of `type` touching any of the verses (e.g. "clear highlight")
+  async removeOn(verses, type){
+    const keys = new Set(verses.map(v=> verseKey(v.book, v.chapter, v.verse)));
+    const chapters = new Set(verses.map(v=> chapterKey(v.book, v.chapter)));
+    const db = await userDB();
+    for(const ch of chapters){
+      for(const rec of await idbAll(db, STORE, 'chapter', ch)){
+        if((!type || rec.type === type) && rec.verses.some(k=> keys.has(k))) await idbDelete(db, STORE, rec.id);
+      }
+    }
+    this._changed();
+  }
+
+  async exportJSON(){
+    return { kind:EXPORT_KIND, format:1, exported:new Date().toISOString(), annotations: await this.all() };
+  }
+  // Merge by id; the most recently updated copy wins. -> { added, updated, skipped }
+  async importJSON(json){
+    const list = Array.isArray(json) ? json : json?.annotations;
+    if(!Array.isArray(list)) throw new Error('Not an annotations export (no "annotations" list)');
+    const db = await userDB();
+    const stats = { added:0, updated:0, skipped:0 };
+    for(const r of list){
+      if(!r || typeof r.id !== 'string' || !Array.isArray(r.verses) || !r.verses.every(k=> parseVerseKey(k))){ stats.skipped++; continue; }
+      const type = ['highlight','bookmark','note'].includes(r.type) ? r.type : 'note';
+      const rec = {
+        id:r.id, type,
+        verses:r.verses.map(String),
+        chapters:[...new Set(r.verses.map(k=> String(k).replace(/\.\d+$/, '')))],
+        book:String(r.verses[0]).replace(/\.\d+\.\d+$/, ''),
+        // Same colours as add(): the colour becomes a class name in the reader
+        color: type === 'highlight' ? (COLORS.includes(r.color) ? r.color : COLORS[0]) : null, note: String(r.note ?? ''), tags: normTags(r.tags || []),
+        created: Number(r.created) || Date.now(), updated: Number(r.updated) || Date.now(),
+      };
+      const cur = await idbGet(db, STORE, rec.id);
+      if(cur && cur.updated >= rec.updated){ stats.skipped++; continue; }
+      await idbPut(db, STORE, rec);
+      stats[cur ? 'updated' : 'added']++;
+    }
+    this._changed();
+    return stats;
+  }
+
+  _changed(){ this.dispatchEvent(new Event('change')); }
+}
+
+function normTags(tags){
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(t=> String(t).trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
+}
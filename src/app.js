@@ -1,11 +1,56 @@
 // Smooth Bible - main module
 // - Robust data loader (inline JSON, single-file, or per-book)
-// - Simple router (#/Book/Chapter[/Verse])
-// - Reader rendering with paragraph/verse spans
-// - Non-blocking search via Web Worker
-// - Offline support handshake with service worker
+// - Multiple translations (versions.js), switchable from the drawer; USFM/OSIS/Zefania files can be opened or dropped
+// - Per-translation book order (canon.js: Protestant, Catholic, Orthodox, Apocrypha) and verse numbering;
+//   links, annotations, cross-references and side-by-side columns map between schemes (versification.js)
+// - Parallel reading of 2-4 translations (#/KJV+WEB/Book/Chapter)
+// - Word-level compare view (#/compare/KJV/ASV/Book/Chapter[/Verse])
+// - Simple router (#/[VER/]Book/Chapter[/Verse[-Verse]], passage lists #/p/...)
+// - Reader rendering with paragraph/verse spans; optional continuous scrolling (continuous.js)
+// - Rich verses: section headings, footnote/cross-reference popovers, poetry lines, supplied
+//   words in italics, optional red letter (rich.js)
+// - Strong's numbers: tap a tagged word for the lexicon, search strong:H7225 (lexicon.js)
+// - Cross-references per verse from an optional TSK / OpenBible file (crossrefs.js)
+// - Concordance: counts per form, book and testament, keyword in context (counted in the worker)
+// - Verse selection with highlights, bookmarks and notes (IndexedDB); copy/share with a
+//   citation template and deep links (citation.js)
+// - Reading plans with today's reading, streaks and catch-up (plans.js)
+// - Read aloud (speechSynthesis) with the spoken verse highlighted (readaloud.js)
+// - Reading history: resume position, recent passages, prev/next chapter (keys + swipe)
+// - Command palette (Ctrl+K): references, recent passages, commands other modules register, verse hits (palette.js)
+// - Non-blocking search via Web Worker; optional smart search for archaic spellings (archaic.js)
+// - Offline support handshake with service worker; per-translation downloads and quota (offline.js)
+// - Diagnostics: Data.validate() report of the current translation, downloadable as JSON (diagnostics-ui.js)
 
-import { Data } from './data.js';
+import { VERSIONS, DEFAULT_VERSION, findVersion, loadVersion, addLocalVersion, configureVersion, versificationOf } from './versions.js';
+import { parseHash, hashFor, listHash, MAX_PARALLEL } from './router.js';
+import { buildParallel } from './parallel.js';
+import { buildCompare } from './compare.js';
+import { parseRefs, formatRef, osisRef, resolveBookName } from './refs.js';
+import { Annotations } from './annotations.js';
+import { setupAnnotations } from './annotations-ui.js';
+import { VerseSelection } from './selection.js';
+import { pickFile } from './ui.js';
+import { Plans } from './plans.js';
+import { setupPlans } from './plans-ui.js';
+import { ReadingHistory } from './history.js';
+import { chapterKey } from './annotations.js';
+import { ContinuousReader } from './continuous.js';
+import { renderVerseText, setupNotePopover } from './rich.js';
+import { Lexicon } from './lexicon.js';
+import { setupLexicon } from './lexicon-ui.js';
+import { CrossRefs } from './crossrefs.js';
+import { setupCrossRefs } from './crossrefs-ui.js';
+import { setupConcordance } from './concordance-ui.js';
+import { loadEquivalents } from './archaic.js';
+import { offlineStatus } from './offline.js';
+import { setupOffline } from './offline-ui.js';
+import { setupShare } from './share-ui.js';
+import { setupReadAloud } from './readaloud.js';
+import { CommandPalette } from './palette.js';
+import { setupDiagnostics } from './diagnostics-ui.js';
+import { CANONS, findCanon } from './canon.js';
+import { SCHEMES, DEFAULT_SCHEME, mapVerse, mapPassage, alignedChapter } from './versification.js';
 
 const els = {
   drawer: document.getElementById('drawer'),
@@ -43,7 +88,7 @@ function toggleDrawer(open){
 els.menuBtn.addEventListener('click', ()=> toggleDrawer());
 document.addEventListener('keydown', (e)=>{
   if(e.key === '.') toggleDrawer();
-  if(e.key === 'Escape'){ els.palette.hidden = true; els.results.hidden = true; toggleDrawer(false); }
+  if(e.key === 'Escape'){ palette.close(); els.results.hidden = true; toggleDrawer(false); }
   if(e.key === '/' && document.activeElement !== els.searchInput){ e.preventDefault(); els.searchInput.focus(); }
   if((e.key.toLowerCase()==='k') && (e.ctrlKey || e.metaKey)){ e.preventDefault(); openPalette(); }
 });
@@ -77,6 +122,8 @@ function restorePrefs(){
   const lh    = prefs.get('lh',1.5); els.lineHeight.value = lh; applyLineHeight(lh);
   const show  = prefs.get('showVerses', true); els.showVerses.checked = show;
   document.body.classList.toggle('hide-verse-numbers', !show);
+  document.body.classList.toggle('red-letter', prefs.get('redLetter', true));
+  document.body.classList.toggle('strong-lookup', prefs.get('strongLookup', true));
 }
 restorePrefs();
 els.themeSelect.addEventListener('change', (e)=>{ prefs.set('theme', e.target.value); applyTheme(e.target.value); });
@@ -94,28 +141,290 @@ els.themeToggle?.addEventListener('click', ()=>{
 });
 
 // --- Data + router
-const data = new Data({
-  singleFile: 'data/kjv.json',   // optional: single-file if not inlined
-  perBookDir: 'data/books/',     // optional: per-book fallback
-  canonFile : 'data/canon.json', // used only if neither inline nor single-file are available
+let data = null;    // Data for the current translation
+let version = null; // current translation id
+let parallel = null; // translation ids shown side by side, or null for a single column
+let compare = null;  // [left, right] translation ids in the compare view, or null
+
+const annotations = new Annotations();
+const selection = new VerseSelection(els.reader);
+let annotationsUI = null;
+const plans = new Plans();
+let plansUI = null;
+let crossRefsUI = null;
+let concordanceUI = null;
+let readAloudUI = null;
+let diagnosticsUI = null;
+const readingHistory = new ReadingHistory();
+let place = null;      // current view { key, book, chapter, endBook, endChapter } for history and prev/next
+let resumeAt = null;   // history entry whose scroll position the next route restores
+let recentPlaces = []; // latest history entries, for the palette
+const continuous = new ContinuousReader({
+  reader: els.reader,
+  load: chapterContent,
+  adjacent: nextChapter,
+  topOffset: ()=> document.querySelector('.toolbar')?.getBoundingClientRect().bottom ?? 0,
+  onRender: ()=>{ markPassages(place?.passages || []); decorateReader(); },
+  onChapter: followChapter,
 });
 
 function setBusy(b){ els.reader.setAttribute('aria-busy', String(b)); }
 
+// Per-verse extras on whatever the reader shows: annotations, cross-references, plan tracking
+function decorateReader(){
+  annotationsUI?.decorate();
+  crossRefsUI?.decorate();
+  plansUI?.watch();
+  readAloudUI?.decorate();
+}
+
 async function init(){
   setBusy(true);
-  await data.init();
-  populateBookSelect();
+  setupVersionSelect();
+  setupParallelControls();
+  setupNumberingControls();
+  setupContinuousToggle();
+  setupRedLetterToggle();
+  setupStrongToggle();
+  setupCrossRefToggle();
+  setupSmartSearchToggle();
+  const want = parseHash(location.hash).version || prefs.get('version', DEFAULT_VERSION);
+  await useVersion(findVersion(want) ? want : DEFAULT_VERSION);
+  wireSelects();
+  annotationsUI = setupAnnotations({ reader:els.reader, drawer:els.drawer, selection, annotations, toStandard,
+    linkFor:(book, chapter, verse)=>{ const at = mapPlace({ book, chapter, verse }, DEFAULT_SCHEME, shownScheme()); return refHash(at.book, at.chapter, at.verse); } });
+  setupShare({ drawer:els.drawer, selection, getData:()=> data, version:()=> version, linkFor:passagesHash, prefs });
+  plansUI = setupPlans({ reader:els.reader, drawer:els.drawer, plans, toStandard, getChapter:shownChapter,
+    linkFor:(ps)=> passagesHash(ps.map(fromStandard)) });
+  setupNotePopover(els.reader, { linkRefs:noteLinks });
+  setupLexicon({ reader:els.reader, lexicon:new Lexicon(), onFind:findStrong,
+    onCount:(id)=> concordanceUI?.open(`strong:${id}`) });
+  crossRefsUI = setupCrossRefs({ reader:els.reader, crossrefs:new CrossRefs(), getData:()=> data, linkFor:passagesHash,
+    enabled:()=> prefs.get('crossRefs', true), toStandard, fromStandard });
+  concordanceUI = setupConcordance({ drawer:els.drawer, request:requestConcordance, linkFor:refHash });
+  readAloudUI = setupReadAloud({ reader:els.reader, drawer:els.drawer, button:readAloudButton(), palette, prefs, getData:()=> data, verseId,
+    nextChapter, show:showChapter, top:()=> document.querySelector('.toolbar')?.getBoundingClientRect().bottom ?? 0 });
+  setupOffline({ drawer:els.drawer, versions:VERSIONS, loadVersion, current:()=> version, onChange:updateOfflineStatus });
+  diagnosticsUI = setupDiagnostics({ drawer:els.drawer, getData:()=> data, linkFor:refHash });
+  setupChapterNav();
+  registerCommands();
   window.addEventListener('hashchange', route);
    // hide search results on navigation
    window.addEventListener('hashchange', ()=>{ els.results.hidden = true; });
-  if(!location.hash) location.hash = `#/${encodeURIComponent(data.books[0])}/1`;
+  if(!location.hash){
+    // Reopen where the reader left off
+    const last = await readingHistory.latest().catch(()=> null);
+    resumeAt = last;
+    location.hash = last?.hash || refHash(data.books[0], 1);
+  }
   await route();
   setupSearch();
   registerSW();
   setBusy(false);
 }
 
+// Link to a passage in the current translation (or the current parallel set)
+function refHash(book, chapter, verse){
+  return hashFor({ version, versions:parallel, compare, book, chapter, verse });
+}
+// Link to parsed passages (refs.js shape): a range route for one, a passage list for several
+function passagesHash(passages){
+  const mode = { version, versions:parallel, compare };
+  if(passages.length === 1 && passages[0].verse != null) return hashFor({ ...mode, ...passages[0] });
+  if(passages.length === 1 && passages[0].endChapter === passages[0].chapter) return hashFor({ ...mode, ...passages[0], verse:null });
+  return listHash(mode, passages.map(osisRef));
+}
+
+// Annotations, cross-references and plans keep English verse numbers (versification.js); the reader
+// shows those of the current translation, or of the first column side by side
+function shownScheme(){
+  const first = compare?.[0] || parallel?.[0];
+  return first ? versificationOf(first) : data.versification;
+}
+function toStandard(ref){ return mapVerse(ref, shownScheme(), DEFAULT_SCHEME); }
+function fromStandard(p){ return mapPassage(p, DEFAULT_SCHEME, shownScheme()); }
+// A chapter numbered as the reader shows it (side by side: in the first translation's numbering)
+async function shownChapter(book, chapter){
+  const first = compare?.[0] || parallel?.[0];
+  const d = first ? await loadVersion(first) : data;
+  return d.getChapter(book, chapter);
+}
+// { book, chapter, verse? } numbered in scheme `from` -> the same place numbered in `to`
+function mapPlace({ book, chapter, verse=null }, from, to){
+  const p = mapPassage({ book, chapter, verse, endChapter:chapter, endVerse:verse }, from, to);
+  return { book, chapter:p.chapter, verse:p.verse };
+}
+
+// Switch translation: load (or reuse) its Data, refresh the book list and the search index
+async function useVersion(id){
+  const d = await loadVersion(id);
+  data = d; version = findVersion(id).id;
+  prefs.set('version', version);
+  els.versionSel.value = version;
+  populateBookSelect();
+  els.syncNumberingControls?.();
+  syncSearchIndex();
+  updateOfflineStatus();
+}
+
+function setupVersionSelect(){
+  const row = document.createElement('div'); row.className = 'row';
+  const label = document.createElement('label'); label.htmlFor = 'versionSelect'; label.textContent = 'Translation';
+  const sel = document.createElement('select'); sel.id = 'versionSelect';
+  row.append(label, sel);
+  const first = els.drawer.querySelector('.row');
+  if(first) first.before(row); else els.drawer.appendChild(row);
+  els.versionSel = sel;
+  for(const v of VERSIONS) addVersionOption(v);
+  sel.addEventListener('change', ()=> switchVersion(sel.value));
+  setupLocalFiles(row);
+}
+function addVersionOption(v){
+  const opt = document.createElement('option');
+  opt.value = v.id; opt.textContent = `${v.id} — ${v.name}`;
+  els.versionSel.appendChild(opt);
+  palette.register({ id:`version-${v.id}`, group:'Translations', title:`Read ${v.id} — ${v.name}`, keywords:'translation version switch',
+    when:()=> v.id !== version, run:()=> switchVersion(v.id) });
+}
+// Keep the reader on the same passage in the new translation (renumbered when its versification differs)
+function switchVersion(id){
+  const cur = parseHash(location.hash);
+  const at = mapPlace({ book:cur.book || els.bookSel.value, chapter:cur.chapter || 1, verse:cur.verse },
+    shownScheme(), versificationOf(id));
+  location.hash = hashFor({ version:id, ...at });
+}
+
+// Open (or drop) a USFM / OSIS / Zefania / JSON Bible file as an extra translation for this session
+function setupLocalFiles(afterRow){
+  const row = document.createElement('div'); row.className = 'row';
+  const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'ghost small';
+  btn.textContent = 'Open a Bible file…';
+  btn.title = 'USFM, OSIS XML, Zefania XML or JSON; you can also drop the file on the page';
+  const status = document.createElement('span'); status.className = 'muted small'; status.setAttribute('role', 'status');
+  row.append(btn, status);
+  afterRow.after(row);
+
+  async function open(file){
+    if(!file) return;
+    status.textContent = `Reading ${file.name}…`;
+    try{
+      const cfg = await addLocalVersion(file);
+      addVersionOption(cfg);
+      status.textContent = `Added ${cfg.id}`;
+      switchVersion(cfg.id);
+    }catch(e){
+      console.error('[data] local file:', e);
+      status.textContent = `Could not open ${file.name}: ${e.message}`;
+    }
+  }
+  btn.addEventListener('click', async ()=> open(await pickFile('.usfm,.sfm,.xml,.osis,.json,.txt')));
+  window.addEventListener('dragover', (e)=>{
+    if(e.dataTransfer?.types.includes('Files')){ e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; }
+  });
+  window.addEventListener('drop', (e)=>{
+    const file = e.dataTransfer?.files?.[0];
+    if(!file) return;
+    e.preventDefault();
+    toggleDrawer(true);
+    open(file);
+  });
+}
+
+// Drawer: parallel toggle + which translations to show (2..MAX_PARALLEL)
+function setupParallelControls(){
+  const row = document.createElement('div'); row.className = 'row';
+  const label = document.createElement('label'); label.htmlFor = 'parallelToggle'; label.textContent = 'Parallel reading';
+  const toggle = document.createElement('input'); toggle.type = 'checkbox'; toggle.id = 'parallelToggle';
+  row.append(label, toggle);
+  const picks = document.createElement('div'); picks.className = 'row parallel-picks';
+  const boxes = VERSIONS.map(v=>{
+    const l = document.createElement('label'); l.className = 'small';
+    const cb = document.createElement('input'); cb.type = 'checkbox'; cb.value = v.id;
+    l.append(cb, document.createTextNode(' ' + v.id));
+    picks.appendChild(l);
+    return cb;
+  });
+  els.versionSel.closest('.row').after(row, picks);
+  els.parallelToggle = toggle;
+
+  const chosen = ()=> boxes.filter(b=> b.checked).map(b=> b.value);
+  els.syncParallelControls = ()=>{
+    const ids = parallel || prefs.get('parallelVersions', VERSIONS.slice(0,2).map(v=>v.id));
+    for(const b of boxes) b.checked = ids.includes(b.value);
+    const n = chosen().length;
+    for(const b of boxes) b.disabled = !b.checked && n >= MAX_PARALLEL;
+    toggle.checked = Boolean(parallel);
+  };
+  const go = (ids)=>{
+    const cur = parseHash(location.hash);
+    const at = mapPlace({ book:cur.book || els.bookSel.value, chapter:cur.chapter || 1, verse:cur.verse },
+      shownScheme(), ids ? versificationOf(ids[0]) : data.versification);
+    location.hash = hashFor({ version: ids ? null : version, versions: ids, ...at });
+  };
+  toggle.addEventListener('change', ()=> go(toggle.checked ? chosen() : null));
+  for(const b of boxes){
+    b.addEventListener('change', ()=>{
+      const ids = chosen();
+      if(ids.length < 2){ b.checked = true; return; } // parallel needs two translations
+      prefs.set('parallelVersions', ids);
+      if(parallel) go(ids);
+      else els.syncParallelControls();
+    });
+  }
+  els.syncParallelControls();
+}
+
+// Drawer: book order and verse numbering of the current translation, remembered per translation
+function setupNumberingControls(){
+  const saved = { canon:prefs.get('canons', {}), versification:prefs.get('versifications', {}) };
+  for(const v of VERSIONS){
+    configureVersion(v.id, { canon:saved.canon[v.id], versification:saved.versification[v.id] });
+  }
+  const select = (id, text, options)=>{
+    const row = document.createElement('div'); row.className = 'row';
+    const label = document.createElement('label'); label.htmlFor = id; label.textContent = text;
+    const sel = document.createElement('select'); sel.id = id;
+    for(const [value, name] of options){
+      const opt = document.createElement('option'); opt.value = value; opt.textContent = name;
+      sel.appendChild(opt);
+    }
+    row.append(label, sel);
+    els.parallelToggle.closest('.row').before(row);
+    return sel;
+  };
+  const canonSel = select('canonSelect', 'Book order',
+    [['auto', 'Automatic'], ...Object.entries(CANONS).map(([id, c])=> [id, c.name])]);
+  const schemeSel = select('versificationSelect', 'Verse numbering', Object.entries(SCHEMES));
+  canonSel.title = 'Which books the translation has and in what order; Automatic goes by the books in its file';
+  schemeSel.title = 'How the translation numbers verses (Psalm titles, Malachi 4, …); links, notes and cross-references follow it';
+
+  els.syncNumberingControls = ()=>{
+    const cfg = findVersion(version);
+    canonSel.value = cfg.canon || 'auto';
+    canonSel.options[0].textContent = `Automatic (${findCanon(data.canon).name})`;
+    schemeSel.value = data.versification;
+  };
+  const remember = (key, value)=>{
+    if(findVersion(version).local) return; // opened files are gone after this session
+    prefs.set(key, { ...prefs.get(key, {}), [version]: value });
+  };
+  canonSel.addEventListener('change', async ()=>{
+    remember('canons', canonSel.value);
+    configureVersion(version, { canon:canonSel.value });
+    setBusy(true);
+    try{ await useVersion(version); }
+    catch(e){ console.error('[data] book order:', e); }
+    await route();
+    setBusy(false);
+  });
+  // The text keeps its numbers; what changes is how they map to other translations and to annotations
+  schemeSel.addEventListener('change', ()=>{
+    remember('versifications', schemeSel.value);
+    configureVersion(version, { versification:schemeSel.value });
+    route();
+  });
+}
+
 function populateBookSelect(){
   els.bookSel.innerHTML = '';
   for(const b of data.books){
@@ -123,27 +432,95 @@ function populateBookSelect(){
     opt.value = b; opt.textContent = b;
     els.bookSel.appendChild(opt);
   }
+}
+function wireSelects(){
   els.bookSel.addEventListener('change', async ()=>{
     const book = els.bookSel.value;
     const chap = 1;
-    location.hash = `#/${encodeURIComponent(book)}/${chap}`;
+    location.hash = refHash(book, chap);
   });
   els.chapSel.addEventListener('change', ()=>{
     const book = els.bookSel.value;
     const chap = Number(els.chapSel.value);
-    location.hash = `#/${encodeURIComponent(book)}/${chap}`;
+    location.hash = refHash(book, chap);
   });
 }
 
+let routeSeq = 0; // newer navigations win over slower ones still loading
 async function route(){
-  const m = location.hash.match(/^#\/([^\/]+)\/(\d+)(?:\/(\d+))?$/);
-  let book = decodeURIComponent(m?.[1] || data.books[0]);
-  let chap = Number(m?.[2] || 1);
-  const verse = m?.[3] ? Number(m[3]) : null;
+  const seq = ++routeSeq;
+  const r = parseHash(location.hash);
+  compare = r.compare;
+  parallel = r.versions?.length > 1 ? r.versions : null;
+  if(parallel) prefs.set('parallelVersions', parallel);
+  els.syncParallelControls();
+  if(r.version && r.version !== version){
+    setBusy(true);
+    try{ await useVersion(r.version); }
+    catch(e){ console.error('[route] translation failed to load:', e); }
+    if(seq !== routeSeq) return;
+  }
 
-  if(!data.hasBook(book)) book = data.books[0];
+  // Passage list (#/p/...) or a single passage built from the path
+  let passages = null;
+  if(r.list){
+    passages = parseRefs(r.list, refCtx()).refs;
+    if(!passages.length) passages = null;
+  }
+  let book = passages?.[0].book || r.book || data.books[0];
+  let chap = passages?.[0].chapter || r.chapter || 1;
+  const verse = passages ? passages[0].verse : r.verse;
+
+  if(!data.hasBook(book)) book = resolveBookName(book, data.books).book || data.books[0];
   chap = Math.min(Math.max(1, chap), data.chapterCount(book));
+  if(!passages && verse){
+    const endChapter = Math.min(Math.max(chap, r.endChapter ?? chap), data.chapterCount(book));
+    passages = [{ book, chapter:chap, verse, endChapter, endVerse: r.endVerse ?? verse }];
+  }
+  const isRange = passages && (passages.length > 1 || passages[0].verse == null ||
+    passages[0].endChapter !== passages[0].chapter || passages[0].endVerse !== passages[0].verse);
 
+  const where = isRange ? passages.map(p=> formatRef(p)).join('; ') : `${book} ${chap}`;
+  showLocation(book, chap, where);
+
+  const flowing = prefs.get('continuous', false) && !compare && !parallel && !isRange;
+  els.reader.classList.toggle('parallel-mode', Boolean(parallel));
+  els.reader.classList.toggle('continuous', flowing);
+  selection.clear();
+  if(!flowing) continuous.close();
+  const last = passages?.[passages.length-1];
+  place = {
+    key: isRange ? `list:${passages.map(osisRef).join(',')}` : chapterKey(book, chap),
+    book, chapter:chap, endBook: isRange ? last.book : book, endChapter: isRange ? last.endChapter : chap,
+    passages: passages || [],
+  };
+  if(compare) await renderCompare(book, chap, isRange ? null : verse, compare);
+  else if(parallel) await renderParallel(book, chap, parallel);
+  else if(isRange) await renderPassages(passages);
+  else if(flowing) await continuous.open(book, chap);
+  else await renderChapter(book, chap);
+  if(seq !== routeSeq) return;
+
+  // Requested verses stay marked; scroll to the first one
+  markPassages(passages || []);
+  decorateReader();
+  rememberPlace(isRange ? location.hash : refHash(book, chap), where);
+  if(!flowing) renderChapterNav();
+  updateOfflineStatus();
+
+  const first = passages?.find(p=> p.verse != null);
+  const node = first && document.getElementById(verseId(first.book, first.chapter, first.verse));
+  const resume = resumeAt?.key === place.key && resumeAt.anchor && document.getElementById(resumeAt.anchor);
+  resumeAt = null;
+  // Continuous mode jumps instantly: chapters loading above would derail a smooth scroll
+  const behavior = flowing ? 'auto' : 'smooth';
+  if(node) node.scrollIntoView({ behavior, block: isRange ? 'start' : 'center' });
+  else if(resume) resume.scrollIntoView({ block:'start' });
+  else window.scrollTo({ top: 0, behavior });
+}
+
+// Book/chapter selects and the #ref label
+function showLocation(book, chap, where){
   els.bookSel.value = book;
   els.chapSel.innerHTML = '';
   for(let i=1;i<=data.chapterCount(book);i++){
@@ -152,79 +529,543 @@ async function route(){
     els.chapSel.appendChild(o);
   }
   els.chapSel.value = String(chap);
-  els.ref.textContent = `${book} ${chap}`;
+  els.ref.textContent = `${where} · ${compare ? compare.join(' → ') : parallel ? parallel.join(' | ') : version}`;
+}
 
-  await renderChapter(book, chap);
+// --- Continuous scrolling
+function setupContinuousToggle(){
+  const row = document.createElement('div'); row.className = 'row';
+  const label = document.createElement('label'); label.htmlFor = 'continuousToggle'; label.textContent = 'Continuous scrolling';
+  const toggle = document.createElement('input'); toggle.type = 'checkbox'; toggle.id = 'continuousToggle';
+  toggle.checked = prefs.get('continuous', false);
+  row.append(label, toggle);
+  els.drawer.querySelector('.parallel-picks').after(row);
+  toggle.addEventListener('change', ()=>{ prefs.set('continuous', toggle.checked); route(); });
+}
 
-  if(verse){
-    const id = verseId(book, chap, verse);
-    const node = document.getElementById(id);
-    if(node){
-      node.scrollIntoView({ behavior:'smooth', block:'center' });
-      node.classList.add('accent');
-      setTimeout(()=> node.classList.remove('accent'), 1200);
-    }
-  }else{
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+function setupRedLetterToggle(){
+  const row = document.createElement('div'); row.className = 'row';
+  const label = document.createElement('label'); label.htmlFor = 'redLetterToggle'; label.textContent = 'Words of Christ in red';
+  const toggle = document.createElement('input'); toggle.type = 'checkbox'; toggle.id = 'redLetterToggle';
+  toggle.checked = prefs.get('redLetter', true);
+  row.append(label, toggle);
+  els.showVerses.closest('.row')?.after(row);
+  toggle.addEventListener('change', ()=>{ prefs.set('redLetter', toggle.checked); document.body.classList.toggle('red-letter', toggle.checked); });
+}
+
+function setupStrongToggle(){
+  const row = document.createElement('div'); row.className = 'row';
+  const label = document.createElement('label'); label.htmlFor = 'strongToggle'; label.textContent = 'Tap words for Strong\'s lexicon';
+  const toggle = document.createElement('input'); toggle.type = 'checkbox'; toggle.id = 'strongToggle';
+  toggle.title = 'Only texts tagged with Strong\'s numbers; tap a verse number to select the verse';
+  toggle.checked = prefs.get('strongLookup', true);
+  row.append(label, toggle);
+  document.getElementById('redLetterToggle').closest('.row').after(row);
+  toggle.addEventListener('change', ()=>{ prefs.set('strongLookup', toggle.checked); document.body.classList.toggle('strong-lookup', toggle.checked); });
+}
+
+function setupCrossRefToggle(){
+  const row = document.createElement('div'); row.className = 'row';
+  const label = document.createElement('label'); label.htmlFor = 'crossRefToggle'; label.textContent = 'Cross-reference markers';
+  const toggle = document.createElement('input'); toggle.type = 'checkbox'; toggle.id = 'crossRefToggle';
+  toggle.title = 'Needs data/cross-references.tsv or .json (TSK or OpenBible)';
+  toggle.checked = prefs.get('crossRefs', true);
+  row.append(label, toggle);
+  document.getElementById('strongToggle').closest('.row').after(row);
+  toggle.addEventListener('change', ()=>{ prefs.set('crossRefs', toggle.checked); crossRefsUI?.decorate(); });
+}
+
+function readAloudButton(){
+  const btn = document.createElement('button'); btn.type = 'button'; btn.className = els.paletteBtn.className;
+  btn.textContent = '🔊'; btn.title = 'Read this chapter aloud'; btn.setAttribute('aria-label', 'Read aloud');
+  els.paletteBtn.after(btn);
+  return btn;
+}
+
+function setupSmartSearchToggle(){
+  const row = document.createElement('div'); row.className = 'row';
+  const label = document.createElement('label'); label.htmlFor = 'smartSearchToggle'; label.textContent = 'Smart search';
+  const toggle = document.createElement('input'); toggle.type = 'checkbox'; toggle.id = 'smartSearchToggle';
+  toggle.title = 'Also match archaic and inflected forms (you: ye, thee, thou; gave: gavest) and list the best matches first';
+  toggle.checked = prefs.get('smartSearch', false);
+  row.append(label, toggle);
+  document.getElementById('crossRefToggle').closest('.row').after(row);
+  toggle.addEventListener('change', ()=>{
+    prefs.set('smartSearch', toggle.checked);
+    const q = els.searchInput.value.trim();
+    if(q && !els.results.hidden) startSearch(q);
+  });
+}
+
+// Cross-reference note text -> links to each passage it names (null when none parse)
+function noteLinks(text){
+  const { refs } = parseRefs(text, refCtx());
+  if(!refs.length) return null;
+  const frag = document.createDocumentFragment();
+  refs.forEach((r, i)=>{
+    if(i) frag.appendChild(document.createTextNode('; '));
+    const a = document.createElement('a'); a.href = passagesHash([r]); a.textContent = formatRef(r);
+    frag.appendChild(a);
+  });
+  return frag;
+}
+
+async function chapterContent(book, chap){
+  const frag = document.createDocumentFragment();
+  try{
+    const verses = await data.getChapter(book, chap);
+    const h = document.createElement('h1'); h.textContent = `${book} ${chap}`;
+    frag.append(h, buildVerses(book, chap, verses));
+  }catch(e){
+    frag.appendChild(renderUnavailable(book, chap, e));
   }
+  return frag;
+}
+
+// The chapter in view changed while scrolling: follow it without re-rendering
+function followChapter(book, chap){
+  const hash = refHash(book, chap);
+  history.replaceState(null, '', hash);
+  showLocation(book, chap, `${book} ${chap}`);
+  place = { key: chapterKey(book, chap), book, chapter:chap, endBook:book, endChapter:chap, passages: place?.passages || [] };
+  rememberPlace(hash, `${book} ${chap}`);
+}
+
+// --- History + chapter navigation
+function rememberPlace(hash, label){
+  readingHistory.visit({ key:place.key, label, hash })
+    .then(()=> readingHistory.recent(8))
+    .then((list)=>{ recentPlaces = list; })
+    .catch((e)=> console.warn('[history]', e));
+}
+
+// id of the first verse element below the sticky bars
+function topVerseAnchor(){
+  const top = document.querySelector('.toolbar')?.getBoundingClientRect().bottom ?? 0;
+  for(const n of els.reader.querySelectorAll('[id^="v-"]')){
+    if(n.getBoundingClientRect().bottom > top) return n.id;
+  }
+  return null;
+}
+
+// Previous/next chapter, crossing book boundaries (Malachi 4 -> Matthew 1)
+function adjacentChapter(dir){
+  if(!place) return null;
+  return dir < 0 ? nextChapter(place.book, place.chapter, -1) : nextChapter(place.endBook, place.endChapter, 1);
+}
+function nextChapter(book, chap, dir){
+  let i = data.books.indexOf(book);
+  if(i < 0) return null;
+  let c = chap + dir;
+  if(c < 1){
+    if(--i < 0) return null;
+    c = data.chapterCount(data.books[i]);
+  }else if(c > data.chapterCount(book)){
+    if(++i >= data.books.length) return null;
+    c = 1;
+  }
+  return { book:data.books[i], chapter:c };
+}
+// Bring a chapter on screen unless it already is (continuous reading)
+function showChapter(book, chap){
+  if(!document.getElementById(verseId(book, chap, 1))) location.hash = refHash(book, chap);
+}
+function goChapter(dir){
+  const to = adjacentChapter(dir);
+  if(to) location.hash = refHash(to.book, to.chapter);
+}
+
+function renderChapterNav(){
+  const nav = document.createElement('nav'); nav.className = 'chapter-nav'; nav.setAttribute('aria-label', 'Chapters');
+  for(const dir of [-1, 1]){
+    const to = adjacentChapter(dir);
+    if(!to){ nav.appendChild(document.createElement('span')); continue; }
+    const a = document.createElement('a'); a.href = refHash(to.book, to.chapter); a.rel = dir < 0 ? 'prev' : 'next';
+    a.textContent = dir < 0 ? `← ${to.book} ${to.chapter}` : `${to.book} ${to.chapter} →`;
+    nav.appendChild(a);
+  }
+  els.reader.appendChild(nav);
+}
+
+function setupChapterNav(){
+  // Arrow keys (outside text fields) and horizontal swipes on the reader
+  document.addEventListener('keydown', (e)=>{
+    if(e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    if(e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if(e.target.closest?.('input, textarea, select, [contenteditable], dialog') || !els.palette.hidden) return;
+    e.preventDefault();
+    goChapter(e.key === 'ArrowLeft' ? -1 : 1);
+  });
+  let swipe = null;
+  els.reader.addEventListener('touchstart', (e)=>{
+    swipe = e.touches.length === 1 ? { x:e.touches[0].clientX, y:e.touches[0].clientY, t:Date.now() } : null;
+  }, { passive:true });
+  els.reader.addEventListener('touchend', (e)=>{
+    if(!swipe) return;
+    const t = e.changedTouches[0];
+    const dx = t.clientX - swipe.x, dy = t.clientY - swipe.y, quick = Date.now() - swipe.t < 600;
+    swipe = null;
+    if(quick && Math.abs(dx) > 80 && Math.abs(dy) < Math.abs(dx) / 2 && getSelection().isCollapsed) goChapter(dx < 0 ? 1 : -1);
+  }, { passive:true });
+
+  // Remember the verse at the top of the viewport
+  let timer = 0;
+  window.addEventListener('scroll', ()=>{
+    clearTimeout(timer);
+    timer = setTimeout(()=>{
+      if(place) readingHistory.setPosition(place.key, topVerseAnchor()).catch(()=>{});
+    }, 400);
+  }, { passive:true });
 }
 
 function verseId(book, chap, v){
   return `v-${encodeURIComponent(book)}-${chap}-${v}`;
 }
 
-async function renderChapter(book, chap){
-  setBusy(true);
-  const verses = await data.getChapter(book, chap);
-  els.reader.innerHTML = '';
-  const h = document.createElement('h1'); h.textContent = `${book} ${chap}`; els.reader.appendChild(h);
-  let currentPara = document.createElement('p'); currentPara.className = 'para'; els.reader.appendChild(currentPara);
+// Mark every rendered verse inside the passages (reader spans, parallel rows, compare rows)
+function markPassages(passages){
+  for(const el of els.reader.querySelectorAll('.selected')) el.classList.remove('selected');
+  for(const p of passages){
+    if(p.verse == null) continue;
+    for(let c=p.chapter; c<=p.endChapter; c++){
+      const from = c === p.chapter ? p.verse : 1;
+      const to = c === p.endChapter ? p.endVerse : Infinity;
+      for(const n of els.reader.querySelectorAll(`[id^="${CSS.escape(`v-${encodeURIComponent(p.book)}-${c}-`)}"]`)){
+        const v = Number(n.id.slice(n.id.lastIndexOf('-') + 1));
+        if(v >= from && v <= to) (n.closest('.verse, .prow, .crow') || n).classList.add('selected');
+      }
+    }
+  }
+}
+
+// Paragraph-flowed verse spans for one chapter (or a slice of it)
+function buildVerses(book, chap, verses){
+  const frag = document.createDocumentFragment();
+  const notes = { count:0 }; // footnote callers run a, b, c... through the chapter
+  let currentPara = document.createElement('p'); currentPara.className = 'para'; frag.appendChild(currentPara);
   for(const v of verses){
-    if(v.paragraphStart && currentPara.childNodes.length){
-      currentPara = document.createElement('p'); currentPara.className='para'; els.reader.appendChild(currentPara);
+    // Section headings sit between paragraphs; poetry gets its own indented lines
+    if(v.heading){
+      const hd = document.createElement('h3'); hd.className = 'section-heading'; hd.textContent = v.heading;
+      if(currentPara.childNodes.length){
+        frag.appendChild(hd);
+        currentPara = document.createElement('p'); currentPara.className='para'; frag.appendChild(currentPara);
+      }else currentPara.before(hd);
     }
+    const poetic = Boolean(v.poetry);
+    if((v.paragraphStart || poetic !== currentPara.classList.contains('poetry')) && currentPara.childNodes.length){
+      currentPara = document.createElement('p'); currentPara.className='para'; frag.appendChild(currentPara);
+    }
+    currentPara.classList.toggle('poetry', poetic);
     const span = document.createElement('span'); span.className = 'verse';
+    if(poetic) span.classList.add('poetry'); // indent levels come from renderVerseText
+    span.dataset.book = book; span.dataset.chapter = String(chap); span.dataset.verse = String(v.verse);
     const n = document.createElement('sup'); n.className = 'vnum'; n.textContent = v.verse.toString();
     n.id = verseId(book, chap, v.verse);
     span.appendChild(n);
-    const t = document.createTextNode(' ' + v.text.trim());
-    span.appendChild(t);
+    span.append(' ', renderVerseText(v, notes));
     currentPara.appendChild(span);
     currentPara.appendChild(document.createTextNode(' '));
   }
+  return frag;
+}
+
+function renderUnavailable(book, chap, e){
+  if(e) console.error('[reader]', e);
+  const p = document.createElement('p'); p.className = 'muted';
+  p.textContent = `${book} ${chap} is ${e ? 'not available' : 'empty'} in ${version}. `;
+  // Usually a malformed data file: the diagnostics panel says what is wrong with it
+  const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'ghost small';
+  btn.textContent = 'Check the data';
+  btn.addEventListener('click', ()=>{ toggleDrawer(true); diagnosticsUI?.open(); });
+  p.appendChild(btn);
+  return p;
+}
+
+async function renderChapter(book, chap){
+  setBusy(true);
+  let verses;
+  try{ verses = await data.getChapter(book, chap); }
+  catch(e){
+    els.reader.innerHTML = '';
+    els.reader.appendChild(renderUnavailable(book, chap, e));
+    setBusy(false);
+    return;
+  }
+  els.reader.innerHTML = '';
+  const h = document.createElement('h1'); h.textContent = `${book} ${chap}`; els.reader.appendChild(h);
+  els.reader.appendChild(verses.length ? buildVerses(book, chap, verses) : renderUnavailable(book, chap, null));
+  setBusy(false);
+}
+
+// Verse ranges and passage lists: only the requested verses, each chapter expandable
+async function renderPassages(passages){
+  setBusy(true);
+  const sections = [];
+  for(const p of passages){
+    const sec = document.createElement('section'); sec.className = 'passage';
+    const h = document.createElement(passages.length > 1 ? 'h2' : 'h1'); h.textContent = formatRef(p);
+    sec.appendChild(h);
+    for(let c=p.chapter; c<=p.endChapter; c++){
+      const part = document.createElement('div'); part.className = 'passage-chapter';
+      if(p.endChapter > p.chapter){
+        const h3 = document.createElement('h3'); h3.textContent = `${p.book} ${c}`; part.appendChild(h3);
+      }
+      let verses;
+      try{ verses = await data.getChapter(p.book, c); }
+      catch(e){ part.appendChild(renderUnavailable(p.book, c, e)); sec.appendChild(part); continue; }
+      const from = p.verse == null || c > p.chapter ? 1 : p.verse;
+      const to = p.verse == null || c < p.endChapter ? Infinity : p.endVerse;
+      const body = document.createElement('div');
+      body.appendChild(buildVerses(p.book, c, verses.filter(v=> v.verse >= from && v.verse <= to)));
+      part.appendChild(body);
+      if(from > 1 || to < (verses[verses.length-1]?.verse ?? 0)){
+        const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'ghost small expand';
+        btn.textContent = 'Show full chapter';
+        let full = false;
+        btn.addEventListener('click', ()=>{
+          full = !full;
+          body.replaceChildren(buildVerses(p.book, c, full ? verses : verses.filter(v=> v.verse >= from && v.verse <= to)));
+          btn.textContent = full ? 'Show selection only' : 'Show full chapter';
+          markPassages(passages);
+          decorateReader();
+          body.querySelector('.selected')?.scrollIntoView({ block:'center' });
+        });
+        part.appendChild(btn);
+      }
+      sec.appendChild(part);
+    }
+    sections.push(sec);
+  }
+  els.reader.innerHTML = '';
+  els.reader.append(...sections);
+  setBusy(false);
+}
+
+// Columns follow the verse numbering of the first translation
+async function renderParallel(book, chap, ids){
+  setBusy(true);
+  const base = versificationOf(ids[0]);
+  const columns = await Promise.all(ids.map(async (id)=>{
+    try{
+      const d = await loadVersion(id);
+      return { id, verses: d.hasBook(book) ? await alignedChapter(book, chap, d.versification, base, (b, c)=> d.getChapter(b, c)) : [] };
+    }catch(e){
+      console.error(`[parallel] ${id} ${book} ${chap}:`, e);
+      return { id, verses: [] };
+    }
+  }));
+  els.reader.innerHTML = '';
+  const h = document.createElement('h1'); h.textContent = `${book} ${chap}`; els.reader.appendChild(h);
+  els.reader.appendChild(buildParallel(columns, (v)=> verseId(book, chap, v)));
+  setBusy(false);
+}
+
+async function renderCompare(book, chap, verse, [leftId, rightId]){
+  setBusy(true);
+  const base = versificationOf(leftId);
+  const load = async (id)=>{
+    try{
+      const d = await loadVersion(id);
+      return { id, verses: d.hasBook(book) ? await alignedChapter(book, chap, d.versification, base, (b, c)=> d.getChapter(b, c)) : [] };
+    }catch(e){
+      console.error(`[compare] ${id} ${book} ${chap}:`, e);
+      return { id, verses: [] };
+    }
+  };
+  const [left, right] = await Promise.all([load(leftId), load(rightId)]);
+  els.reader.innerHTML = '';
+  const h = document.createElement('h1');
+  h.textContent = `${book} ${chap}${verse ? ':'+verse : ''} — ${leftId} → ${rightId}`;
+  els.reader.appendChild(h);
+
+  const box = buildCompare(left, right, { rowId:(v)=> verseId(book, chap, v), only:verse });
+  const bar = document.createElement('div'); bar.className = 'compare-bar small';
+  const legend = document.createElement('span'); legend.className = 'muted';
+  legend.innerHTML = `<del>only ${leftId}</del> <ins>only ${rightId}</ins> · ${box.dataset.differing} differing verse${box.dataset.differing === '1' ? '' : 's'}`;
+  const label = document.createElement('label');
+  const onlyDiff = document.createElement('input'); onlyDiff.type = 'checkbox';
+  onlyDiff.checked = prefs.get('compareOnlyDiff', false);
+  label.append(onlyDiff, document.createTextNode(' Show only differing verses'));
+  const applyFilter = ()=> box.classList.toggle('only-diff', onlyDiff.checked);
+  onlyDiff.addEventListener('change', ()=>{ prefs.set('compareOnlyDiff', onlyDiff.checked); applyFilter(); });
+  applyFilter();
+  bar.append(legend, label);
+  els.reader.append(bar, box);
   setBusy(false);
 }
 
 // --- Search (Web Worker)
+// Each search carries an id; the worker drops older ones and streams hits in batches.
+const SEARCH_PAGE = 100;
+const SEARCH_DEBOUNCE_MS = 180;
 let worker;
+let indexStatus = null; // { state:'building'|'ready'|'error', text }
+let searchId = 0;       // id of the newest search; messages for older ids are ignored
+let searchTimer = 0;
+let askId = 0;
+const askWaits = new Map(); // request id -> resolve, for askWorker()
 function setupSearch(){
   worker = new Worker('src/search-worker.js', { type:'module' });
-  worker.postMessage({ type:'init', indexMeta: data.indexMeta() });
+  syncSearchIndex();
+  loadEquivalents().then((groups)=>{ if(groups) worker.postMessage({ type:'equivalents', groups }); });
+  els.searchInput.title = 'Words match whole words. "exact phrase", a OR b, -exclude, lov*, in:John, in:1 John, in:NT, in:Romans 8, in:"Song of Solomon", strong:H7225';
   els.searchInput.addEventListener('input', (e)=>{
+    clearTimeout(searchTimer);
     const q = e.target.value.trim();
-    if(q.length === 0){ els.results.hidden = true; els.resultsList.innerHTML = ''; return; }
-    worker.postMessage({ type:'search', query:q, limit:100 });
+    if(q.length === 0){
+      worker.postMessage({ type:'cancel', id:++searchId });
+      els.results.hidden = true; els.resultsList.innerHTML = '';
+      return;
+    }
+    searchTimer = setTimeout(()=> startSearch(q), SEARCH_DEBOUNCE_MS);
+  });
+  els.searchInput.addEventListener('keydown', (e)=>{
+    if(e.key !== 'Enter') return;
+    const refs = searchBoxRefs(e.target.value.trim());
+    if(refs.length){ e.preventDefault(); location.hash = passagesHash(refs); }
   });
   els.closeResults.addEventListener('click', ()=>{ els.results.hidden = true; });
+  const concBtn = document.createElement('button'); concBtn.type = 'button'; concBtn.className = 'ghost small';
+  concBtn.textContent = 'Concordance'; concBtn.title = 'Count every occurrence of the searched word';
+  concBtn.addEventListener('click', ()=>{ els.results.hidden = true; concordanceUI?.open(els.searchInput.value); });
+  els.closeResults.before(concBtn);
   worker.addEventListener('message', async (ev)=>{
-    const { type } = ev.data || {};
+    const { type, id } = ev.data || {};
     if(type === 'hits'){
-      const { hits } = ev.data;
-      renderHits(hits);
+      if(id !== searchId) return;
+      const { hits, book, shown, total } = ev.data;
+      renderHits(hits, { append:true });
+      setSearchProgress(`Searching ${book}… ${shown} of ${total}`);
+    }else if(type === 'search-done'){
+      if(id !== searchId) return;
+      const { shown, total } = ev.data;
+      const ranked = total > 1 && prefs.get('smartSearch', false) ? ' · best matches first' : '';
+      setSearchProgress(total ? `${total} result${total === 1 ? '' : 's'}${shown < total ? ` · showing ${shown}` : ''}${ranked}` : 'No results');
+      if(shown < total) renderLoadMore(total - shown);
+    }else if(type === 'error'){
+      if(id !== searchId) return;
+      renderSearchError(ev.data.message);
+    }else if(type === 'index-progress'){
+      const { book, done, total } = ev.data;
+      const pct = total ? Math.round(done / total * 100) : 0;
+      setIndexStatus('building', book ? `Indexing ${book}… ${pct}%` : `Indexing… ${pct}%`);
+    }else if(type === 'index-ready'){
+      setIndexStatus('ready', 'Search ready');
+    }else if(type === 'index-error'){
+      setIndexStatus('error', 'Search index failed');
+      console.error('[search] index build failed:', ev.data.message);
+    }else if(type === 'concordance' || type === 'peek'){
+      askWaits.get(id)?.(ev.data);
+      askWaits.delete(id);
     }else if(type === 'need-chapter'){
-      const { book, chapter } = ev.data;
-      const verses = await data.getChapter(book, chapter);
-      worker.postMessage({ type:'chapter-data', book, chapter, verses });
+      const { source, book, chapter } = ev.data;
+      const verses = await loadVersion(source).then((d)=> d.getChapter(book, chapter)).catch(()=> []);
+      worker.postMessage({ type:'chapter-data', source, book, chapter, verses });
     }
   });
 }
-function renderHits(hits){
+// One-reply requests to the worker: the reply of the same type and id, or { error }
+function askWorker(type, fields){
+  if(!worker) return Promise.resolve({ error:'Search is not ready yet' });
+  return new Promise((resolve)=>{
+    const id = ++askId;
+    askWaits.set(id, resolve);
+    worker.postMessage({ type, id, ...fields });
+  });
+}
+// Concordance counts come from the worker's index -> { result } | { error }
+function requestConcordance(query){
+  return askWorker('concordance', { query });
+}
+
+// Every verse tagged with a Strong's number, through the search box
+function findStrong(id){
+  clearTimeout(searchTimer);
+  els.searchInput.value = `strong:${id}`;
+  startSearch(els.searchInput.value);
+}
+function startSearch(q){
+  const id = ++searchId;
+  els.results.hidden = false;
+  els.resultsList.innerHTML = '';
+  renderRefJumps(q);
+  setSearchProgress(indexStatus?.state === 'building' ? `${indexStatus.text} Results will appear when the index is ready.` : 'Searching…');
+  worker.postMessage({ type:'search', id, query:q, limit:SEARCH_PAGE, smart:prefs.get('smartSearch', false) });
+}
+// (Re)send dataset metadata; the worker rebuilds its index when the data version changed,
+// or when a per-book file has changed since the index was built
+function syncSearchIndex(){
+  if(!worker) return;
+  const d = data;
+  d.onBookHash = (book, hash)=> worker.postMessage({ type:'book-hash', source:d.id, book, hash });
+  worker.postMessage({ type:'init', indexMeta: d.indexMeta(), bookHashes: Object.fromEntries(d.bookHashes) });
+}
+function setIndexStatus(state, text){
+  indexStatus = { state, text };
+  if(!els.indexStatus){
+    els.indexStatus = document.createElement('span');
+    els.indexStatus.className = 'muted small';
+    els.indexStatus.setAttribute('role', 'status');
+    els.swStatus.insertAdjacentElement('afterend', els.indexStatus);
+  }
+  els.indexStatus.textContent = text;
+  // Searching while the index builds: tell the user why results are pending
+  if(state === 'building' && !els.results.hidden && !els.resultsList.children.length){
+    setSearchProgress(`${text} Results will appear when the index is ready.`);
+  }
+}
+// The search box doubles as "go to": a query that reads as references gets jump links
+function searchBoxRefs(q){
+  if(!/\d/.test(q)) return [];
+  const { refs, ambiguous, errors } = parseRefs(q, refCtx());
+  return (ambiguous.length || errors.length) ? [] : refs;
+}
+function renderRefJumps(q){
+  const refs = searchBoxRefs(q);
+  const jumps = refs.length > 1 ? [refs, ...refs.map(r=> [r])] : refs.map(r=> [r]);
+  for(const ps of jumps.slice(0, 10)){
+    const li = document.createElement('li'); li.className = 'ref-jump';
+    const a = document.createElement('a');
+    a.href = passagesHash(ps);
+    a.textContent = `Go to ${ps.map(r=> formatRef(r)).join('; ')}`;
+    li.appendChild(a); els.resultsList.appendChild(li);
+  }
+}
+function setSearchProgress(text){
+  if(!els.searchProgress){
+    els.searchProgress = document.createElement('div');
+    els.searchProgress.className = 'results-progress muted small';
+    els.searchProgress.setAttribute('role', 'status');
+    els.resultsList.before(els.searchProgress);
+  }
+  els.searchProgress.textContent = text;
+}
+function renderSearchError(message){
   els.results.hidden = false;
   els.resultsList.innerHTML = '';
+  setSearchProgress('');
+  const li = document.createElement('li'); li.className = 'search-error'; li.setAttribute('role', 'alert');
+  li.textContent = message;
+  els.resultsList.appendChild(li);
+}
+function renderLoadMore(remaining){
+  const li = document.createElement('li'); li.className = 'more';
+  const btn = document.createElement('button'); btn.className = 'ghost'; btn.type = 'button';
+  btn.textContent = `Load ${Math.min(remaining, SEARCH_PAGE)} more`;
+  btn.addEventListener('click', ()=>{
+    li.remove();
+    worker.postMessage({ type:'more', id:searchId, limit:SEARCH_PAGE });
+  });
+  li.appendChild(btn); els.resultsList.appendChild(li);
+}
+function renderHits(hits, { append=false }={}){
+  els.results.hidden = false;
+  if(!append) els.resultsList.innerHTML = '';
   for(const h of hits){
     const li = document.createElement('li');
     const a = document.createElement('a');
-    a.href = `#/${encodeURIComponent(h.book)}/${h.chapter}/${h.verse}`;
+    a.href = refHash(h.book, h.chapter, h.verse);
     const ref = document.createElement('div'); ref.className = 'hit-ref'; ref.textContent = `${h.book} ${h.chapter}:${h.verse}`;
     const text = document.createElement('div'); text.className = 'hit-text';
     text.innerHTML = h.previewHtml;
@@ -233,96 +1074,176 @@ function renderHits(hits){
   }
 }
 
-// --- Command palette (Go to reference)
-function openPalette(){
-  els.palette.hidden = false;
-  els.paletteInput.value = '';
-  els.paletteInput.focus();
-  updatePaletteList('');
-}
-function updatePaletteList(input){
-  const q = input.trim();
+// --- Command palette (palette.js): references, recent passages, commands, books and verses
+const palette = new CommandPalette({ dialog:els.palette, input:els.paletteInput, list:els.paletteList }, {
+  goTo: paletteGoTo,
+  recent: ()=> recentPlaces.filter(r=> r.key !== place?.key)
+    .map(r=> ({ label:`↺ ${r.label}`, match:r.label, href:r.hash, run:()=>{ resumeAt = r; } })),
+  books: ()=> data.books.map(b=> ({ label:b, href:refHash(b, 1) })),
+  search: async (q, limit)=>{
+    const reply = await askWorker('peek', { query:q, limit, smart:prefs.get('smartSearch', false) });
+    if(reply.error) return null;
+    return { total:reply.total, items: reply.hits.map(h=> ({ label:`${h.book} ${h.chapter}:${h.verse}`,
+      detailHtml:h.previewHtml, href:refHash(h.book, h.chapter, h.verse) })) };
+  },
+  searchAll: (q)=>{ els.searchInput.value = q; startSearch(q); },
+});
+function openPalette(){ palette.open(); }
+// What the input reads as: a compare command, references, or each reading of an ambiguous book name
+function paletteGoTo(q){
   const items = [];
-  const ref = parseRef(q);
-  if(ref){
-    items.push({ label: `${ref.book} ${ref.chapter}${ref.verse ? ':'+ref.verse : ''}`, book:ref.book, chapter:ref.chapter, verse:ref.verse ?? null });
+  const cmp = parseCompareCommand(q);
+  if(cmp){
+    const { ref, ids } = cmp;
+    items.push({ label: `Compare ${ref.book} ${ref.chapter}${ref.verse ? ':'+ref.verse : ''} — ${ids[0]} → ${ids[1]}`,
+      href: hashFor({ compare:ids, book:ref.book, chapter:ref.chapter, verse:ref.verse }) });
   }
-  if(!q){
-    for(const b of data.books) items.push({ label: b, book:b, chapter:1, verse:null });
-  }else{
-    const qq = q.toLowerCase();
-    for(const b of data.books){
-      if(b.toLowerCase().includes(qq)) items.push({ label: b, book:b, chapter:1, verse:null });
+  const notes = [];
+  if(!cmp && q){
+    const { refs, ambiguous, errors } = parseRefs(q, refCtx());
+    if(refs.length > 1) items.push({ label: `${refs.map(r=> formatRef(r)).join('; ')} (all)`, href: passagesHash(refs) });
+    for(const r of refs) items.push({ label: formatRef(r), href: passagesHash([r]) });
+    // "Ph 4": offer each reading instead of guessing
+    for(const a of ambiguous){
+      for(const b of a.candidates){
+        const alt = parseRefs(q.replace(a.text, b), refCtx()).refs[0];
+        if(alt) items.push({ label: `${formatRef(alt)} (for “${a.text}”)`, href: passagesHash([alt]) });
+      }
     }
+    if(/\d/.test(q)) notes.push(...errors);
+  }
+  return { items, notes };
+}
+
+// Built-in commands; other modules register theirs through palette.register()
+function registerCommands(){
+  const setTheme = (value)=>{ els.themeSelect.value = value; prefs.set('theme', value); applyTheme(value); };
+  for(const [value, name] of [['auto', 'Automatic'], ['light', 'Light'], ['dark', 'Dark'], ['sepia', 'Sepia']]){
+    palette.register({ id:`theme-${value}`, group:'Settings', title:`Theme: ${name}`, keywords:'colour color mode',
+      when:()=> els.themeSelect.value !== value, run:()=> setTheme(value) });
   }
-  els.paletteList.innerHTML = '';
-  for(const it of items.slice(0,50)){
-    const li=document.createElement('li'); const a=document.createElement('a');
-    a.href = it.verse ? `#/${encodeURIComponent(it.book)}/${it.chapter}/${it.verse}` : `#/${encodeURIComponent(it.book)}/${it.chapter}`;
-    a.textContent = it.label;
-    li.appendChild(a); els.paletteList.appendChild(li);
+  const setSize = (px)=>{
+    const v = Math.max(Number(els.fontSize.min) || 15, Math.min(Number(els.fontSize.max) || 22, px));
+    els.fontSize.value = v; prefs.set('size', v); applySize(v);
+  };
+  palette.register({ id:'size-up', group:'Settings', title:'Larger text', keywords:'font size increase zoom',
+    run:()=> setSize(Number(els.fontSize.value) + 1) });
+  palette.register({ id:'size-down', group:'Settings', title:'Smaller text', keywords:'font size decrease',
+    run:()=> setSize(Number(els.fontSize.value) - 1) });
+  palette.register({ id:'verse-numbers', group:'Settings', title:'Show or hide verse numbers', keywords:'toggle',
+    run:()=>{ els.showVerses.checked = !els.showVerses.checked; els.showVerses.dispatchEvent(new Event('change')); } });
+  palette.register({ id:'search', title:'Search the text', keys:'/', run:()=> els.searchInput.focus() });
+  palette.register({ id:'drawer', title:'Settings and panels', keys:'.', keywords:'drawer menu', run:()=> toggleDrawer(true) });
+  palette.register({ id:'prev-chapter', title:'Previous chapter', keys:'←', run:()=> goChapter(-1) });
+  palette.register({ id:'next-chapter', title:'Next chapter', keys:'→', run:()=> goChapter(1) });
+  // Each drawer panel (plans, notes, concordance, offline…) opens from the palette too
+  for(const panel of els.drawer.querySelectorAll('details.panel[id]')){
+    const title = panel.querySelector('summary')?.textContent;
+    palette.register({ id:`panel-${panel.id}`, group:'Panels', title, run:()=>{
+      toggleDrawer(true);
+      panel.open = true;
+      panel.scrollIntoView({ block:'start' });
+    } });
   }
-    // set first active
-    paletteIdx = 0;
-    setPaletteActive(paletteIdx);
-}
-// palette keyboard nav
-let paletteIdx = 0;
-function setPaletteActive(i){
-  const items = Array.from(els.paletteList.querySelectorAll('li'));
-  items.forEach(li=>li.classList.remove('active'));
-  if(items[i]) items[i].classList.add('active');
-}
-els.paletteInput.addEventListener('keydown', (e)=>{
-  const links = els.paletteList.querySelectorAll('a');
-  if(!links.length) return;
-  if(e.key === 'ArrowDown'){ e.preventDefault(); paletteIdx = Math.min(paletteIdx+1, links.length-1); links[paletteIdx].focus(); setPaletteActive(paletteIdx); }
-  if(e.key === 'ArrowUp'){   e.preventDefault(); paletteIdx = Math.max(paletteIdx-1, 0);             links[paletteIdx].focus(); setPaletteActive(paletteIdx); }
-  if(e.key === 'Enter'){     e.preventDefault(); links[paletteIdx].click(); els.palette.hidden = true; }
-  if(e.key === 'Escape'){    e.preventDefault(); els.palette.hidden = true; }
-});
-els.paletteInput.addEventListener('input', (e)=> updatePaletteList(e.target.value));
-document.addEventListener('click', (e)=>{if(e.target === els.palette) els.palette.hidden = true;
-  // click-outside closes results
+}
+// Click outside closes the search results
+document.addEventListener('click', (e)=>{
   if(!els.results.hidden && !els.results.contains(e.target) && e.target !== els.searchInput){
     els.results.hidden = true;
   }
- });
-const BOOK_ALIASES = {
-  'ps':'Psalms','psalm':'Psalms','psalms':'Psalms',
-  'jn':'John','mk':'Mark','mt':'Matthew','lk':'Luke',
-  'gen':'Genesis','ex':'Exodus','lev':'Leviticus','num':'Numbers','deut':'Deuteronomy',
-};
+});
+// "compare John 1 KJV WEB" (translations default to the current one and the next in the list)
+function parseCompareCommand(s){
+  const m = s.match(/^compare\s+(.+?)\s*$/i);
+  if(!m) return null;
+  const words = m[1].split(/\s+/);
+  const ids = [];
+  while(ids.length < 2 && words.length > 1 && findVersion(words[words.length-1])){
+    ids.unshift(findVersion(words.pop()).id);
+  }
+  const ref = parseRef(words.join(' '));
+  if(!ref) return null;
+  if(ids.length < 2){
+    const other = VERSIONS.find(v=> v.id !== (ids[0] || version))?.id;
+    if(ids.length === 1) ids.push(ids[0] === version ? other : version);
+    else ids.push(version, other);
+  }
+  return { ref, ids };
+}
+// Reference parsing against the current translation's books
+function refCtx(){
+  return { books: data.books, chapterCount: (b)=> data.chapterCount(b) };
+}
+// First passage in `s`, or null when it is not a clean reference
 function parseRef(s){
   if(!s) return null;
-  const m = s.match(/^\s*([1-3]?\s*[A-Za-z.]+)\s+(\d+)(?::(\d+))?\s*$/);
-  if(!m) return null;
-  let b = m[1].replace(/\./g,'').trim();
-  const key = b.toLowerCase();
-  b = BOOK_ALIASES[key] || data.resolveBook(b) || b;
-  if(!data.hasBook(b)) return null;
-  const c = Math.min(Math.max(1, Number(m[2])), data.chapterCount(b));
-  const v = m[3] ? Number(m[3]) : null;
-  return { book:b, chapter:c, verse:v };
+  const { refs, ambiguous, errors } = parseRefs(s, refCtx());
+  if(!refs.length || ambiguous.length || errors.length) return null;
+  const r = refs[0];
+  return { book:r.book, chapter:r.chapter, verse:r.verse };
 }
 
 // --- Service worker / offline
+// A new version installs in the background and waits; it takes over only when the user
+// accepts the reload prompt, and the page reloads once the new worker controls it.
+let swRegistered = false;
+let swUpdating = false; // the user accepted an update: reload on the next controller change
 async function registerSW(){
   if(!('serviceWorker' in navigator)) return;
   try{
     const reg = await navigator.serviceWorker.register('sw.js');
-    els.swStatus.textContent = 'Offline ready';
+    swRegistered = true;
+    updateOfflineStatus();
+    // Without a controller this is the first install, not an update
+    if(reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
     reg.addEventListener('updatefound', ()=>{
-      els.swStatus.textContent = 'Updating…';
-      reg.installing?.addEventListener('statechange', ()=>{
-        if(reg.installing?.state === 'activated') els.swStatus.textContent = 'Updated';
+      const next = reg.installing;
+      next?.addEventListener('statechange', ()=>{
+        if(next.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(next);
       });
     });
+    navigator.serviceWorker.addEventListener('controllerchange', ()=>{
+      if(!swUpdating) return;
+      swUpdating = false;
+      location.reload();
+    });
+    // Long-lived tabs look for a new version when they come back to the foreground
+    document.addEventListener('visibilitychange', ()=>{
+      if(document.visibilityState === 'visible') reg.update().catch(()=>{});
+    });
   }catch(e){
     els.swStatus.textContent = 'Offline disabled';
     console.error('SW registration failed', e);
   }
 }
 
+function showUpdatePrompt(next){
+  els.updateBar?.remove();
+  const bar = document.createElement('div'); bar.className = 'update-bar'; bar.setAttribute('role', 'status');
+  const text = document.createElement('span'); text.textContent = 'New version available';
+  const reload = document.createElement('button'); reload.type = 'button'; reload.textContent = 'Reload';
+  const later = document.createElement('button'); later.type = 'button'; later.className = 'ghost small'; later.textContent = 'Later';
+  reload.addEventListener('click', ()=>{
+    swUpdating = true;
+    reload.disabled = true; text.textContent = 'Updating…';
+    next.postMessage({ type:'skip-waiting' });
+  });
+  later.addEventListener('click', ()=> bar.remove());
+  bar.append(text, reload, later);
+  document.body.appendChild(bar);
+  els.updateBar = bar;
+}
+
+// "Offline ready" only once the current translation's text is cached, not just the app itself
+async function updateOfflineStatus(){
+  if(!swRegistered || !data) return;
+  const st = await offlineStatus(data).catch(()=> null);
+  if(!st) return;
+  els.swStatus.textContent = st.ready ? 'Offline ready'
+    : st.cachedBooks ? `Offline: ${st.cachedBooks} of ${st.books} books`
+    : 'Online only';
+  els.swStatus.title = st.ready ? '' : 'Download this translation in the Offline panel to read without a connection';
+}
+
 // Kickoff
 init();
@@ -0,0 +1,121 @@
+// Early Modern English helpers for smart search: a light stemmer that knows the KJV's verb
+// endings (-eth, -est, -edst), an equivalence table for words that changed shape entirely
+// (you/ye/thee/thou, does/doth) and folding of diacritics and apostrophes.
+// Worker-safe (no DOM). Extra equivalences can come from an optional file:
+//   data/equivalents.json   [["sofa", "couch"], ...]                 added to the built-in table
+//                           { "groups": [...], "defaults": false }   replaces it
+// The first word of each group is its canonical form.
+
+export const EQUIVALENTS_FILE = 'data/equivalents.json';
+
+export const DEFAULT_EQUIVALENTS = [
+  ['you', 'ye', 'thee', 'thou'],
+  ['your', 'yours', 'thy', 'thine'],
+  ['yourself', 'thyself'],
+  ['do', 'does', 'doth', 'dost', 'doeth', 'doest'],
+  ['did', 'didst'],
+  ['have', 'has', 'hath', 'hast'],
+  ['had', 'hadst'],
+  ['are', 'art'],
+  ['was', 'wast'],
+  ['were', 'wert'],
+  ['shall', 'shalt'],
+  ['will', 'wilt'],
+  ['can', 'canst'],
+  ['may', 'mayest', 'mayst'],
+  ['say', 'says', 'saith', 'sayest'],
+  ['said', 'saidst'],
+  ['spoke', 'spake'],
+  ['broke', 'brake'],
+  ['got', 'gat'],
+  ['swore', 'sware'],
+  ['show', 'shew'],
+  ['built', 'builded'],
+  ['dug', 'digged'],
+  ['know', 'wot'],
+  ['knew', 'wist'],
+  ['yes', 'yea'],
+  ['no', 'nay'],
+  ['always', 'alway'],
+  ['among', 'amongst'],
+  ['while', 'whilst'],
+];
+
+// Words that only look inflected: "best" is not "be" + "-st", "thing" is not "th" + "-ing"
+const NOT_INFLECTED = new Set([
+  'best', 'rest', 'west', 'nest', 'guest', 'forest', 'honest', 'harvest', 'interest', 'priest',
+  'beast', 'feast', 'least', 'breast', 'east', 'chest', 'request', 'manifest', 'earnest', 'tempest',
+  'thing', 'king', 'ring', 'spring', 'string', 'wing', 'evening', 'morning', 'nothing', 'something',
+  'teeth', 'speed', 'creed', 'naked', 'wicked', 'hundred', 'kindred', 'thine',
+]);
+
+// Lower-case, no diacritics, no apostrophes or hyphens: "Naïve" -> "naive", "lord's" -> "lords"
+export function fold(word){
+  return String(word).normalize('NFD').replace(/\p{M}+/gu, '').replace(/['’‘\-]/g, '').toLowerCase();
+}
+
+// Rough stem for grouping KJV-style variants: love, loves, loved, loveth, lovest, lovedst,
+// loving -> "lov"; carried, carrieth -> "carry"; couldst -> "could". Short words are left alone.
+export function stem(word){
+  let w = fold(word);
+  if(NOT_INFLECTED.has(w)) return w;
+  const ie = w.match(/^(.{2,}?)ie(?:d|s|th|st|dst)$/);
+  if(ie) return `${ie[1]}y`;
+  if(/[^e]dst$/.test(w) && w.length > 5) return w.slice(0, -2); // wouldst -> would
+  w = /ee(?:th|st)$/.test(w) ? w.slice(0, -2) : stripSuffix(w); // seeth, seest -> see
+  if(/([^aeioulsfz])\1$/.test(w)) w = w.slice(0, -1); // sinned -> sin
+  if(w.length > 3 && /[^e]e$/.test(w)) w = w.slice(0, -1); // "thee" is not "the"
+  return w;
+}
+
+function stripSuffix(w){
+  for(const suffix of ['edst', 'eth', 'est', 'ing', 'ed', 'es', 's']){
+    if(!w.endsWith(suffix)) continue;
+    // -eth/-est also follow two-letter roots: goeth, doest
+    const min = suffix === 'eth' || suffix === 'est' ? 2 : 3;
+    if(w.length - suffix.length < min) continue;
+    if(suffix === 'es' && !/(s|x|z|ch|sh|o)es$/.test(w)) continue; // "loves" loses only the s
+    if(suffix === 's' && /(ss|us|is)$/.test(w)) continue;
+    return w.slice(0, -suffix.length);
+  }
+  return w;
+}
+
+// groups -> Map<folded word, canonical form>
+export function equivalenceMap(groups=DEFAULT_EQUIVALENTS){
+  const map = new Map();
+  for(const group of groups){
+    if(!Array.isArray(group) || !group.length) continue;
+    const canon = fold(group[0]);
+    for(const w of group) map.set(fold(w), canon);
+  }
+  return map;
+}
+
+// Key shared by every spelling smart search treats as the same word.
+// Table entries win, first for the word as written, then for its stem ("shewed" -> "shew" -> "show").
+export function smartKey(word, equivalents){
+  const f = fold(word);
+  if(equivalents.has(f)) return `=${equivalents.get(f)}`;
+  const s = stem(f);
+  return equivalents.has(s) ? `=${equivalents.get(s)}` : s;
+}
+
+// Contents of data/equivalents.json -> groups for equivalenceMap()
+export function equivalenceGroups(json){
+  const extra = Array.isArray(json) ? json : Array.isArray(json?.groups) ? json.groups : [];
+  const groups = extra.filter(g=> Array.isArray(g) && g.every(w=> typeof w === 'string'));
+  return json?.defaults === false ? groups : [...DEFAULT_EQUIVALENTS, ...groups];
+}
+
+// Fetches the optional table file; null when there is none (the built-in table applies)
+export async function loadEquivalents(url=EQUIVALENTS_FILE){
+  try{
+    const res = await fetch(url, { cache:'force-cache' });
+    if(!res.ok) return null;
+    return equivalenceGroups(await res.json());
+  }catch(e){
+    if(e instanceof SyntaxError) console.warn(`[search] ${url} could not be read:`, e);
+    return null;
+  }
+}
@@ -0,0 +1,97 @@
+// Canons: which books a Bible has, in what order, with chapter counts and numeric book ids.
+//   protestant            66 books
+//   protestant-apocrypha  66 books, the Apocrypha between the Testaments (KJV 1611 order)
+//   catholic              73 books; Tobit, Judith and Maccabees among the histories
+//   orthodox              Septuagint order: 1 Esdras, 3–4 Maccabees, Prayer of Manasseh, Psalm 151
+// Data files that number their books (book: 17) are read with the ids of their canon: the position
+// in its order, except protestant-apocrypha, which keeps 1–66 and numbers the Apocrypha from 67.
+
+const OT = [
+  ['Genesis',50],['Exodus',40],['Leviticus',27],['Numbers',36],['Deuteronomy',34],
+  ['Joshua',24],['Judges',21],['Ruth',4],['1 Samuel',31],['2 Samuel',24],
+  ['1 Kings',22],['2 Kings',25],['1 Chronicles',29],['2 Chronicles',36],['Ezra',10],
+  ['Nehemiah',13],['Esther',10],['Job',42],['Psalms',150],['Proverbs',31],
+  ['Ecclesiastes',12],['Song of Solomon',8],['Isaiah',66],['Jeremiah',52],['Lamentations',5],
+  ['Ezekiel',48],['Daniel',12],['Hosea',14],['Joel',3],['Amos',9],
+  ['Obadiah',1],['Jonah',4],['Micah',7],['Nahum',3],['Habakkuk',3],
+  ['Zephaniah',3],['Haggai',2],['Zechariah',14],['Malachi',4],
+];
+const NT = [
+  ['Matthew',28],['Mark',16],['Luke',24],['John',21],['Acts',28],
+  ['Romans',16],['1 Corinthians',16],['2 Corinthians',13],['Galatians',6],['Ephesians',6],
+  ['Philippians',4],['Colossians',4],['1 Thessalonians',5],['2 Thessalonians',3],['1 Timothy',6],
+  ['2 Timothy',4],['Titus',3],['Philemon',1],['Hebrews',13],['James',5],
+  ['1 Peter',5],['2 Peter',3],['1 John',5],['2 John',1],['3 John',1],
+  ['Jude',1],['Revelation',22],
+];
+const CHAPTERS = new Map([...OT, ...NT,
+  ['Tobit',14],['Judith',16],['Additions to Esther',16],['Wisdom of Solomon',19],['Sirach',51],
+  ['Baruch',6],['Letter of Jeremiah',1],['Prayer of Azariah',1],['Susanna',1],['Bel and the Dragon',1],
+  ['1 Maccabees',16],['2 Maccabees',15],['3 Maccabees',7],['4 Maccabees',18],
+  ['1 Esdras',9],['2 Esdras',16],['Prayer of Manasseh',1],
+]);
+const names = (list)=> list.map(([n])=> n);
+
+// Book names in canon order; `chapters` overrides the usual counts (Daniel with Susanna and Bel: 14)
+function canon(name, order, { chapters={}, numbering=order }={}){
+  return { name, order, numbering, chapters:new Map(order.map(b=> [b, chapters[b] ?? CHAPTERS.get(b)])) };
+}
+
+const APOCRYPHA = ['1 Esdras','2 Esdras','Tobit','Judith','Additions to Esther','Wisdom of Solomon','Sirach','Baruch',
+  'Prayer of Azariah','Susanna','Bel and the Dragon','Prayer of Manasseh','1 Maccabees','2 Maccabees'];
+const OT_NAMES = names(OT), NT_NAMES = names(NT);
+const before = (book)=> OT_NAMES.slice(0, OT_NAMES.indexOf(book));
+const from = (book, until)=> OT_NAMES.slice(OT_NAMES.indexOf(book), until ? OT_NAMES.indexOf(until) + 1 : undefined);
+const MINOR = from('Hosea');
+
+export const CANONS = {
+  'protestant': canon('Protestant (66 books)', [...OT_NAMES, ...NT_NAMES]),
+  'protestant-apocrypha': canon('Protestant with Apocrypha', [...OT_NAMES, ...APOCRYPHA, ...NT_NAMES],
+    { numbering:[...OT_NAMES, ...NT_NAMES, ...APOCRYPHA] }),
+  'catholic': canon('Catholic (73 books)', [
+    ...before('Esther'), 'Tobit', 'Judith', 'Esther', '1 Maccabees', '2 Maccabees',
+    ...from('Job', 'Song of Solomon'), 'Wisdom of Solomon', 'Sirach',
+    ...from('Isaiah', 'Lamentations'), 'Baruch', 'Ezekiel', 'Daniel', ...MINOR,
+    ...NT_NAMES,
+  ], { chapters:{ Daniel:14 } }),
+  'orthodox': canon('Orthodox (Septuagint order)', [
+    ...before('Ezra'), '1 Esdras', 'Ezra', 'Nehemiah', 'Tobit', 'Judith', 'Esther',
+    '1 Maccabees', '2 Maccabees', '3 Maccabees', 'Psalms', 'Prayer of Manasseh', 'Job',
+    'Proverbs', 'Ecclesiastes', 'Song of Solomon', 'Wisdom of Solomon', 'Sirach',
+    'Hosea', 'Amos', 'Micah', 'Joel', 'Obadiah', 'Jonah', ...from('Nahum'),
+    'Isaiah', 'Jeremiah', 'Baruch', 'Lamentations', 'Letter of Jeremiah', 'Ezekiel', 'Daniel',
+    '4 Maccabees',
+    ...NT_NAMES,
+  ], { chapters:{ Psalms:151, Daniel:14, Baruch:5 } }),
+};
+export const DEFAULT_CANON = 'protestant';
+
+export function findCanon(id){
+  return CANONS[id] || CANONS[DEFAULT_CANON];
+}
+
+// Numeric book id (1-based, as in many JSON and SQL Bibles) -> name, or null
+export function bookFromId(n, canonId=DEFAULT_CANON){
+  const i = Number(n) | 0;
+  return findCanon(canonId).numbering[i-1] ?? null;
+}
+
+// The canon that best fits the book names of a data file, in the order they appear:
+// the one holding the most of them, then the one whose order agrees best, then the smallest
+export function detectCanon(books){
+  let best = null;
+  for(const [id, c] of Object.entries(CANONS)){
+    const known = books.filter(b=> c.chapters.has(b));
+    let ordered = 0;
+    for(let i=1; i<known.length; i++) if(c.order.indexOf(known[i-1]) < c.order.indexOf(known[i])) ordered++;
+    const score = [known.length, ordered, -c.order.length];
+    if(!best || beats(score, best.score)) best = { id, score };
+  }
+  return best.id;
+}
+
+// Lexicographic comparison of score tuples
+function beats(a, b){
+  const i = a.findIndex((x, k)=> x !== b[k]);
+  return i !== -1 && a[i] > b[i];
+}
@@ -0,0 +1,54 @@
+// Citations for picked verses: runs of consecutive verses become passages, formatted as plain
+// text, Markdown or HTML through a template with {text}, {ref}, {version} and {link}.
+//   "For God so loved the world… John 3:16–17 (KJV)"
+
+import { formatRef } from './refs.js';
+
+export const CITE_FORMATS = { text:'Plain text', markdown:'Markdown', html:'HTML' };
+
+export const DEFAULT_TEMPLATES = {
+  text: '{text}\n{ref} ({version})',
+  markdown: '> {text}\n\n— [{ref} ({version})]({link})',
+  html: '<blockquote>{text}</blockquote>\n<p>— <a href="{link}">{ref} ({version})</a></p>',
+};
+
+// [{ book, chapter, verse }] in reading order -> passages (refs.js shape) with their verse numbers
+export function versesToPassages(verses){
+  const out = [];
+  for(const v of verses){
+    const last = out[out.length-1];
+    if(last && last.book === v.book && last.chapter === v.chapter && last.endVerse + 1 === v.verse){
+      last.endVerse = v.verse;
+      last.verses.push(v.verse);
+    }else{
+      out.push({ book:v.book, chapter:v.chapter, verse:v.verse, endChapter:v.chapter, endVerse:v.verse, verses:[v.verse] });
+    }
+  }
+  return out;
+}
+
+// passages: [{ ...passage, texts:[{ verse, text }] }] (text as in the verse model: poetry lines split by \n)
+// -> the filled-in template
+export function cite({ format='text', template, passages, version, link='', numbers=false }){
+  const fmt = DEFAULT_TEMPLATES[format] ? format : 'text';
+  const tpl = template || DEFAULT_TEMPLATES[fmt];
+  const body = passages.map(p=> p.texts.map(({ verse, text })=> verseText(fmt, verse, text, numbers)).join(' ')).join(' … ');
+  const ref = passages.map(p=> formatRef(p)).join('; ');
+  const esc = fmt === 'html' ? escapeHtml : fmt === 'markdown' ? escapeMarkdown : (s)=> s;
+  const values = { text:body, ref:esc(ref), version:esc(version || ''), link: fmt === 'html' ? escapeHtml(link) : link };
+  return tpl.replace(/\{(text|ref|version|link)\}/g, (_, k)=> values[k]);
+}
+
+function verseText(fmt, n, text, numbers){
+  if(fmt === 'html'){
+    return (numbers ? `<sup>${n}</sup>` : '') + escapeHtml(text).replace(/\n/g, '<br>');
+  }
+  if(fmt === 'markdown'){
+    // Two trailing spaces: a hard line break, which stays inside a "> " quote
+    return (numbers ? `**${n}** ` : '') + escapeMarkdown(text).replace(/\n/g, '  \n');
+  }
+  return (numbers ? `${n} ` : '') + text;
+}
+
+function escapeHtml(s){ return String(s).replace(/[&<>"]/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;' }[c])); }
+function escapeMarkdown(s){ return String(s).replace(/[\\`*_[\]<>#]/g, '\\$&'); }
@@ -0,0 +1,48 @@
+// Compare view: word-level differences between two translations of a chapter or verse.
+// Rendered from the left translation's point of view: <del> words it has that the right
+// one lacks, <ins> words only the right one has, and paired del/ins for changed wording.
+
+import { alignVerses } from './parallel.js';
+import { diffWords, isSame } from './diff.js';
+
+function diffNodes(ops){
+  const frag = document.createDocumentFragment();
+  for(const o of ops){
+    if(frag.childNodes.length) frag.appendChild(document.createTextNode(' '));
+    if(o.op === 'eq'){ frag.appendChild(document.createTextNode(o.a)); continue; }
+    const wrap = document.createElement('span'); wrap.className = `d-${o.op}`;
+    if(o.a){ const del = document.createElement('del'); del.textContent = o.a; wrap.appendChild(del); }
+    if(o.a && o.b) wrap.appendChild(document.createTextNode(' '));
+    if(o.b){ const ins = document.createElement('ins'); ins.textContent = o.b; wrap.appendChild(ins); }
+    frag.appendChild(wrap);
+  }
+  return frag;
+}
+
+// left/right: { id, verses }; `only` limits to a single verse number
+export function buildCompare(left, right, { rowId, only=null }={}){
+  const box = document.createElement('div'); box.className = 'compare';
+  let differing = 0;
+  for(const row of alignVerses([left, right])){
+    if(only && row.verse !== only) continue;
+    const [a, b] = row.cells;
+    const ops = diffWords(a?.text ?? '', b?.text ?? '');
+    const same = isSame(ops);
+    if(!same) differing++;
+    const p = document.createElement('p');
+    p.className = same ? 'crow same' : 'crow';
+    p.id = rowId(row.verse);
+    const n = document.createElement('sup'); n.className = 'vnum'; n.textContent = String(row.verse);
+    p.appendChild(n);
+    p.appendChild(document.createTextNode(' '));
+    if(!a || !b){
+      const note = document.createElement('span'); note.className = 'muted small';
+      note.textContent = `(only in ${a ? left.id : right.id}) `;
+      p.appendChild(note);
+    }
+    p.appendChild(diffNodes(ops));
+    box.appendChild(p);
+  }
+  box.dataset.differing = String(differing);
+  return box;
+}
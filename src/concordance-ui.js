@@ -0,0 +1,170 @@
+// Concordance explorer: occurrence counts, per-book and per-testament bar charts (SVG) and a
+// sortable keyword-in-context table. The counting happens in the search worker (concordance.js).
+
+import { CANON_66 } from './data.js';
+import { h, drawerPanel } from './ui.js';
+
+const SVG = 'http://www.w3.org/2000/svg';
+const NT = new Set(CANON_66.slice(CANON_66.indexOf('Matthew')));
+const OT = new Set(CANON_66.slice(0, CANON_66.indexOf('Matthew')));
+
+// ctx: { drawer, request(query) -> Promise<{ result } | { error }>, linkFor(book, chapter, verse) }
+export function setupConcordance(ctx){
+  const input = h('input', { type:'search', placeholder:'love, or strong:H157', 'aria-label':'Word to look up' });
+  const body = drawerPanel(ctx.drawer, 'Concordance', { id:'concordancePanel' });
+  body.append(h('form', { className:'row', onsubmit:(e)=>{ e.preventDefault(); open(input.value); } },
+    input, h('button', { className:'ghost small' }, 'Count')));
+
+  let dlg = null;
+  async function open(query){
+    query = String(query || '').trim();
+    if(!query) return;
+    dlg?.close();
+    const view = h('div', { className:'conc-view' }, h('p', { className:'muted' }, `Counting “${query}”…`));
+    dlg = h('dialog', { className:'concordance-dialog', 'aria-label':'Concordance' },
+      h('div', { className:'conc-head' },
+        h('h2', null, 'Concordance'),
+        h('button', { type:'button', className:'ghost', title:'Close (Esc)', onclick:()=> dlg.close() }, '✕')),
+      view);
+    const mine = dlg;
+    mine.addEventListener('close', ()=>{ mine.remove(); if(dlg === mine) dlg = null; });
+    // Following a reference closes the explorer
+    mine.addEventListener('click', (e)=>{ if(e.target.closest('a[href^="#"]')) mine.close(); });
+    document.body.appendChild(mine);
+    mine.showModal();
+    const reply = await ctx.request(query);
+    if(dlg !== mine) return;
+    if(reply.error) view.replaceChildren(h('p', { className:'danger' }, reply.error));
+    else explorer(view, reply.result, ctx);
+  }
+
+  return { open };
+}
+
+function explorer(view, res, ctx){
+  const state = { forms: new Set(res.forms.map(f=> f.form)), book:null, sort:'ref', dir:1 };
+  const summary = h('p', { className:'conc-summary' });
+  const forms = h('div', { className:'conc-forms' });
+  const charts = h('div', { className:'conc-charts' });
+  const filter = h('div', { className:'conc-filter small' });
+  const table = h('table', { className:'kwic' });
+  view.replaceChildren(summary, forms, charts, filter, table);
+
+  if(!res.total){
+    summary.textContent = `No occurrences of “${res.label}”.`;
+    return;
+  }
+  for(const f of res.forms){
+    const cb = h('input', { type:'checkbox', checked:true, onchange:()=>{
+      if(cb.checked) state.forms.add(f.form); else state.forms.delete(f.form);
+      render();
+    } });
+    forms.append(h('label', { className:'conc-form' }, cb, ` ${f.form} `, h('span', { className:'muted' }, String(f.count))));
+  }
+
+  function perBook(){
+    const out = new Array(res.books.length).fill(0);
+    for(const f of state.forms) res.counts[f]?.forEach((n, i)=>{ out[i] += n; });
+    return out;
+  }
+
+  function render(){
+    const counts = perBook();
+    const total = counts.reduce((a,n)=> a+n, 0);
+    const books = counts.filter(Boolean).length;
+    summary.textContent = `${total} occurrence${total === 1 ? '' : 's'} of “${res.label}” in ${books} book${books === 1 ? '' : 's'}`
+      + (res.forms.length > 1 ? ` (${state.forms.size} of ${res.forms.length} forms)` : '');
+    charts.replaceChildren(testamentChart(res.books, counts), bookChart(res.books, counts, state.book, (b)=>{
+      state.book = state.book === b ? null : b;
+      render();
+    }));
+    renderTable();
+  }
+
+  function renderTable(){
+    let rows = res.rows.filter(r=> state.forms.has(r.form) && (state.book == null || r.b === state.book));
+    const key = SORT_KEYS[state.sort];
+    rows = rows.map(r=> [key(r), r]).sort((a,b)=> (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1].d - b[1].d) * state.dir).map(x=> x[1]);
+
+    filter.replaceChildren(
+      state.book == null ? 'All books' : h('span', null, `${res.books[state.book]} only · `,
+        h('button', { type:'button', className:'ghost small', onclick:()=>{ state.book = null; render(); } }, 'Show all books')),
+      res.truncated ? h('span', { className:'muted' }, ` · listing the first ${res.rows.length} of ${res.total} occurrences`) : null);
+
+    const th = (id, label, className)=> h('th', { className, 'aria-sort': state.sort === id ? (state.dir > 0 ? 'ascending' : 'descending') : null },
+      h('button', { type:'button', className:'ghost small', onclick:()=>{
+        state.dir = state.sort === id ? -state.dir : 1;
+        state.sort = id;
+        renderTable();
+      } }, label));
+    table.replaceChildren(
+      h('thead', null, h('tr', null, th('ref', 'Reference'), th('left', 'Before', 'kwic-left'), th('kw', 'Word'), th('right', 'After'))),
+      h('tbody', null, rows.map(r=> h('tr', null,
+        h('td', { className:'kwic-ref' }, h('a', { href: ctx.linkFor(res.books[r.b], r.c, r.v) }, `${res.books[r.b]} ${r.c}:${r.v}`)),
+        h('td', { className:'kwic-left' }, h('bdi', null, r.left)),
+        h('td', { className:'kwic-kw' }, r.match),
+        h('td', { className:'kwic-right' }, r.right)))));
+  }
+
+  render();
+}
+
+// Sort keys per column; "Before" sorts on the words nearest the keyword first
+const SORT_KEYS = {
+  ref: (r)=> r.d,
+  left: (r)=> r.left.toLowerCase().split(/\s+/).reverse().join(' ').trim(),
+  kw: (r)=> r.form,
+  right: (r)=> r.right.toLowerCase().trim(),
+};
+
+function svg(tag, attrs, ...children){
+  const el = document.createElementNS(SVG, tag);
+  for(const [k, v] of Object.entries(attrs || {})) if(v != null) el.setAttribute(k, v);
+  el.append(...children);
+  return el;
+}
+
+function testamentOf(book){ return OT.has(book) ? 'ot' : NT.has(book) ? 'nt' : 'other'; }
+
+// One bar per book; click a bar to list only that book
+function bookChart(books, counts, selected, onPick){
+  const max = Math.max(1, ...counts);
+  const W = 10, H = 90;
+  const chart = svg('svg', { viewBox:`0 0 ${books.length * W} ${H + 12}`, class:'conc-books', role:'img',
+    'aria-label':'Occurrences per book' });
+  books.forEach((book, i)=>{
+    const n = counts[i];
+    const hgt = n ? Math.max(2, Math.round(n / max * H)) : 0;
+    const bar = svg('rect', { x: i*W + 1, y: H - hgt, width: W - 2, height: hgt,
+      class:`bar ${testamentOf(book)}${selected === i ? ' picked' : ''}` }, svg('title', null, `${book}: ${n}`));
+    // A full-height hit area keeps small bars easy to tap
+    const hit = svg('rect', { x: i*W, y:0, width:W, height:H + 12, class:'hit' }, svg('title', null, `${book}: ${n}`));
+    const g = svg('g', { tabindex: n ? 0 : null }, hit, bar);
+    if(n){
+      g.addEventListener('click', ()=> onPick(i));
+      g.addEventListener('keydown', (e)=>{ if(e.key === 'Enter' || e.key === ' '){ e.preventDefault(); onPick(i); } });
+    }
+    chart.appendChild(g);
+  });
+  const nt = books.findIndex(b=> NT.has(b));
+  if(nt > 0) chart.append(svg('line', { x1: nt*W, x2: nt*W, y1:0, y2:H + 12, class:'divider' }),
+    svg('text', { x: 2, y: H + 11, class:'axis' }, 'OT'), svg('text', { x: nt*W + 2, y: H + 11, class:'axis' }, 'NT'));
+  return chart;
+}
+
+// Old / New Testament (and other books, if the text has any) as horizontal bars
+function testamentChart(books, counts){
+  const sums = { ot:0, nt:0, other:0 };
+  books.forEach((b, i)=>{ sums[testamentOf(b)] += counts[i]; });
+  const rows = [['ot', 'Old Testament'], ['nt', 'New Testament'], ['other', 'Other books']].filter(([k])=> k !== 'other' || sums.other);
+  const max = Math.max(1, ...rows.map(([k])=> sums[k]));
+  const chart = svg('svg', { viewBox:`0 0 300 ${rows.length * 22}`, class:'conc-testaments', role:'img', 'aria-label':'Occurrences per testament' });
+  rows.forEach(([k, label], i)=>{
+    const w = Math.round(sums[k] / max * 170);
+    chart.append(
+      svg('text', { x:0, y: i*22 + 15, class:'axis' }, label),
+      svg('rect', { x:100, y: i*22 + 4, width: Math.max(w, sums[k] ? 2 : 0), height:14, class:`bar ${k}` }),
+      svg('text', { x: 104 + w, y: i*22 + 15, class:'axis' }, String(sums[k])));
+  });
+  return chart;
+}
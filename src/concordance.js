@@ -0,0 +1,108 @@
+// Concordance: every occurrence of a word (with its simple form variants) or of a Strong's
+// number, counted per form and per book, plus keyword-in-context rows.
+// Runs in the search worker against its index; no DOM here.
+//
+// Result: { query, label, forms:[{ form, count }], books, counts:{ form: [per book] },
+//           rows:[{ d, b, c, v, left, match, right, form }], total, verses, truncated }
+
+import { words, escapeRegExp, QueryError } from './query.js';
+import { strongId } from './lexicon.js';
+import { stem } from './archaic.js';
+
+const KWIC_MAX = 3000; // occurrences listed (all of them are counted)
+const CONTEXT = 60;    // characters either side of the keyword
+
+// Words of the vocabulary that share `word`'s stem (the word itself first):
+// love -> love, loved, loveth, lovest, loving
+export function formsOf(word, vocabulary){
+  const base = stem(word);
+  const out = [word];
+  for(const w of vocabulary){
+    if(w !== word && !w.includes(':') && stem(w) === base) out.push(w);
+  }
+  return out;
+}
+
+// Where each Strong's-tagged run of a verse sits in its text: [[id, start, length], ...]
+// (text is partsText(parts): runs are found in order, whitespace collapsed)
+export function taggedRuns(text, parts){
+  const out = [];
+  let at = 0;
+  for(const p of parts){
+    if(typeof p !== 'string' && (p.note || p.br != null)) continue;
+    const s = (typeof p === 'string' ? p : p.s || '').replace(/[ \t]+/g, ' ').trim();
+    if(!s) continue;
+    const i = text.indexOf(s, at);
+    if(i < 0) continue;
+    at = i + s.length;
+    for(const id of p.strong || []) out.push([id, i, s.length]);
+  }
+  return out;
+}
+
+// index: the search worker's { books, refs, texts, postings, glosses, tagged }; unpack(ref) -> [bookIdx, c, v]
+// A Strong's number counts the runs it tags (tagged: id -> [doc, start, length, ...]), not every
+// occurrence of its glosses: "judges" in a verse where only "God" is H430 is left out
+export function concordance(index, query, unpack){
+  const q = String(query || '').trim();
+  let forms, docs, label, runs = null;
+  if(/^strong:/i.test(q)){
+    const id = strongId(q);
+    if(!id) throw new QueryError(`"${q}" is not a Strong's number (e.g. strong:H157)`);
+    forms = [];
+    runs = index.tagged?.get(id) || [];
+    docs = Array.from(index.postings.get(`strong:${id}`) || []);
+    label = id;
+  }else{
+    const w = words(q);
+    if(w.length !== 1) throw new QueryError('The concordance looks up one word (or strong:H157)');
+    forms = formsOf(w[0], index.postings.keys()).filter(f=> index.postings.has(f) || f === w[0]);
+    const seen = new Set();
+    for(const f of forms) for(const d of index.postings.get(f) || []) seen.add(d);
+    docs = Array.from(seen).sort((a,b)=> a-b);
+    label = w[0];
+  }
+
+  const counts = {};
+  for(const f of forms) counts[f] = new Array(index.books.length).fill(0);
+  const rows = [];
+  let total = 0;
+  const add = (d, at, match)=>{
+    const text = index.texts[d];
+    const [b, c, v] = unpack(index.refs[d]);
+    const form = match.toLowerCase();
+    (counts[form] ??= new Array(index.books.length).fill(0))[b]++;
+    total++;
+    if(rows.length >= KWIC_MAX) return;
+    rows.push({ d, b, c, v, form, match, left: leftContext(text, at), right: rightContext(text, at + match.length) });
+  };
+  if(runs){
+    for(let i=0; i<runs.length; i+=3){
+      const [d, at, len] = [runs[i], runs[i+1], runs[i+2]];
+      add(d, at, index.texts[d].slice(at, at + len));
+    }
+  }else if(forms.length){
+    const edge = "[\\p{L}\\p{N}']";
+    const re = new RegExp(`(?<!${edge})(?:${forms.map(escapeRegExp).join('|')})(?!${edge})`, 'giu');
+    for(const d of docs){
+      for(const m of index.texts[d].matchAll(re)) add(d, m.index, m[0]);
+    }
+  }
+  const formTotals = Object.entries(counts)
+    .map(([form, per])=> ({ form, count: per.reduce((a,n)=> a+n, 0) }))
+    .filter(f=> f.count)
+    .sort((a,b)=> b.count - a.count);
+  return { query:q, label, forms:formTotals, books:index.books, counts, rows, total, verses:docs.length, truncated: total > rows.length };
+}
+
+// Context either side of a match, cut back to whole words
+function leftContext(text, at){
+  const from = Math.max(0, at - CONTEXT);
+  const s = text.slice(from, at).replace(/\s+/g, ' ');
+  return from > 0 ? s.replace(/^\S*\s/, '') : s;
+}
+function rightContext(text, at){
+  const to = at + CONTEXT;
+  const s = text.slice(at, to).replace(/\s+/g, ' ');
+  return to < text.length ? s.replace(/\s\S*$/, '') : s;
+}
@@ -0,0 +1,131 @@
+// Continuous reading: chapters stream in above and below as the reader scrolls.
+// Only a small window of chapters stays in the DOM; chapters scrolled far away are dropped
+// and rebuilt (from Data's cache) when the reader comes back to them.
+
+const WINDOW = 5;     // chapters kept in the DOM (more only while they are all near the viewport)
+const PRELOAD = 1500; // px beyond the viewport where the next chapter starts loading
+const KEEP = 3000;    // px beyond the viewport a chapter must be before it is dropped
+
+export class ContinuousReader{
+  // opts: {
+  //   reader,
+  //   load(book, chapter) -> Promise<Node>      chapter content
+  //   adjacent(book, chapter, dir) -> { book, chapter } | null
+  //   topOffset() -> px hidden under sticky bars
+  //   onRender()                                 after chapters were added or dropped
+  //   onChapter(book, chapter)                   the chapter in view changed
+  // }
+  constructor(opts){
+    Object.assign(this, opts);
+    this.active = false;
+    this._gen = 0;
+    this._loading = { [-1]:false, [1]:false };
+    this._observer = null;
+    this._frame = 0;
+    this._onScroll = ()=>{
+      if(this._frame) return;
+      this._frame = requestAnimationFrame(()=>{ this._frame = 0; this._track(); });
+    };
+  }
+
+  // Replace the reader content with `chapter`; neighbours load once it is on screen
+  async open(book, chapter){
+    this.close();
+    const gen = this._gen;
+    const sec = await this._section(book, chapter);
+    if(gen !== this._gen) return;
+    this.active = true;
+    this.current = `${book}|${chapter}`;
+    this.top = sentinel(); this.bottom = sentinel();
+    this.reader.replaceChildren(this.top, sec, this.bottom);
+    this.onRender?.();
+    this._observer = new IntersectionObserver((entries)=>{
+      for(const e of entries) if(e.isIntersecting) this._extend(e.target === this.top ? -1 : 1);
+    }, { rootMargin:`${PRELOAD}px 0px` });
+    this._observer.observe(this.top);
+    this._observer.observe(this.bottom);
+    window.addEventListener('scroll', this._onScroll, { passive:true });
+  }
+
+  close(){
+    this._gen++;
+    this.active = false;
+    this._observer?.disconnect();
+    this._observer = null;
+    window.removeEventListener('scroll', this._onScroll);
+  }
+
+  sections(){ return Array.from(this.reader.querySelectorAll(':scope > .cchapter')); }
+
+  async _extend(dir){
+    if(this._loading[dir]) return;
+    const secs = this.sections();
+    const edge = dir < 0 ? secs[0] : secs[secs.length-1];
+    if(!edge) return;
+    const to = this.adjacent(edge.dataset.book, Number(edge.dataset.chapter), dir);
+    if(!to) return;
+    const gen = this._gen;
+    this._loading[dir] = true;
+    let sec;
+    try{ sec = await this._section(to.book, to.chapter); }
+    finally{ this._loading[dir] = false; }
+    if(gen !== this._gen) return;
+
+    if(dir > 0) this.bottom.before(sec);
+    else this._keepPosition(()=> this.top.after(sec));
+    this._trim(dir);
+    this.onRender?.();
+    // Re-observing reports the sentinel again if it is still within reach
+    const s = dir < 0 ? this.top : this.bottom;
+    this._observer.unobserve(s);
+    this._observer.observe(s);
+  }
+
+  // Drop chapters at the far end once the window is full (never one close to the viewport,
+  // so the sentinel it uncovers stays out of preload range)
+  _trim(dir){
+    const secs = this.sections();
+    while(secs.length > WINDOW){
+      const gone = dir > 0 ? secs[0] : secs[secs.length-1];
+      const r = gone.getBoundingClientRect();
+      if(dir > 0 ? r.bottom > -KEEP : r.top < innerHeight + KEEP) break;
+      if(dir > 0){ secs.shift(); this._keepPosition(()=> gone.remove()); }
+      else{ secs.pop(); gone.remove(); }
+    }
+  }
+
+  // Content above the viewport changed: scroll by the same amount so the text does not jump
+  _keepPosition(change){
+    const anchor = this.sections().find(s=> s.getBoundingClientRect().bottom > 0) || this.bottom;
+    const before = anchor.getBoundingClientRect().top;
+    change();
+    const shift = anchor.getBoundingClientRect().top - before;
+    if(shift) window.scrollBy(0, shift);
+  }
+
+  // Report the chapter under the sticky bars when it changes
+  _track(){
+    const line = (this.topOffset?.() ?? 0) + 1;
+    const sec = this.sections().find(s=>{ const r = s.getBoundingClientRect(); return r.top <= line && r.bottom > line; });
+    if(!sec) return;
+    const key = `${sec.dataset.book}|${sec.dataset.chapter}`;
+    if(key === this.current) return;
+    this.current = key;
+    this.onChapter?.(sec.dataset.book, Number(sec.dataset.chapter));
+  }
+
+  async _section(book, chapter){
+    const sec = document.createElement('section');
+    sec.className = 'cchapter';
+    sec.dataset.book = book; sec.dataset.chapter = String(chapter);
+    sec.appendChild(await this.load(book, chapter));
+    return sec;
+  }
+}
+
+function sentinel(){
+  const el = document.createElement('div');
+  el.className = 'csentinel';
+  el.setAttribute('aria-hidden', 'true');
+  return el;
+}
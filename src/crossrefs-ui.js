@@ -0,0 +1,84 @@
+// Cross-reference markers in the reader: a small button after each verse that has references;
+// tapping it lists them with their text from the current translation.
+// References are kept in English verse numbers; toStandard/fromStandard translate to and from the reader's.
+
+import { formatRef } from './refs.js';
+import { h, popover } from './ui.js';
+
+const SHOWN = 10;      // references listed before "Show all"
+const PREVIEW = 220;   // characters of verse text per reference
+
+// ctx: { reader, crossrefs, getData() -> Data, linkFor(passages), enabled() -> boolean,
+//        toStandard({ book, chapter, verse }), fromStandard(passage) }
+export function setupCrossRefs(ctx){
+  const { reader, crossrefs } = ctx;
+  const pop = popover('xref-pop');
+
+  reader.addEventListener('click', async (e)=>{
+    const btn = e.target.closest('.xref-mark');
+    if(!btn) return;
+    if(pop.anchor === btn){ pop.close(); return; }
+    const span = btn.closest('.verse[data-verse]');
+    const book = span.dataset.book, chapter = Number(span.dataset.chapter), verse = Number(span.dataset.verse);
+    const std = ctx.toStandard({ book, chapter, verse });
+    const list = (await crossrefs.forChapter(std.book, std.chapter)).get(std.verse) || [];
+    pop.open(btn, listView(ctx, `${book} ${chapter}:${verse}`, list.map(ctx.fromStandard)));
+  });
+
+  return { decorate: ()=> decorate(ctx) };
+}
+
+async function decorate({ reader, crossrefs, enabled, toStandard }){
+  const spans = Array.from(reader.querySelectorAll('.verse[data-verse]'));
+  for(const s of spans) s.querySelector(':scope > .xref-mark')?.remove();
+  if(!enabled() || !spans.length) return;
+  const refs = new Map(spans.map(s=> [s, toStandard({ book:s.dataset.book, chapter:Number(s.dataset.chapter), verse:Number(s.dataset.verse) })]));
+  const chapters = new Map(); // "book|chapter" -> Promise<Map<verse, passage[]>>
+  for(const { book, chapter } of refs.values()){
+    const k = `${book}|${chapter}`;
+    if(!chapters.has(k)) chapters.set(k, crossrefs.forChapter(book, chapter));
+  }
+  for(const s of spans){
+    const { book, chapter, verse } = refs.get(s);
+    const list = (await chapters.get(`${book}|${chapter}`)).get(verse);
+    if(!list?.length || s.querySelector(':scope > .xref-mark')) continue;
+    const label = `${list.length} cross-reference${list.length === 1 ? '' : 's'}`;
+    s.appendChild(h('button', { type:'button', className:'xref-mark', title:label, 'aria-label':label }, '⇢'));
+  }
+}
+
+function listView(ctx, title, list){
+  const ol = h('ol', { className:'xref-list' });
+  const more = list.length > SHOWN
+    ? h('button', { type:'button', className:'ghost small', onclick:()=>{ more.remove(); addItems(list.slice(SHOWN)); } }, `Show all ${list.length}`)
+    : null;
+  function addItems(items){
+    for(const p of items){
+      const text = h('span', { className:'xref-text muted' }, '…');
+      ol.appendChild(h('li', null, h('a', { href: ctx.linkFor([p]) }, formatRef(p)), ' ', text));
+      passageText(ctx.getData(), p).then((t)=>{ text.textContent = t; });
+    }
+  }
+  addItems(list.slice(0, SHOWN));
+  return h('div', null,
+    h('div', { className:'small muted' }, `Cross-references for ${title}`),
+    list.length ? ol : h('p', { className:'small' }, 'None'),
+    more);
+}
+
+// Text of a referenced passage (shortened), or why it is missing
+async function passageText(data, p){
+  if(!data.books.includes(p.book)) return 'Not in this translation';
+  const parts = [];
+  for(let c=p.chapter; c<=p.endChapter && c < p.chapter + 3; c++){
+    const verses = await data.getChapter(p.book, c).catch(()=> []);
+    for(const v of verses){
+      const afterStart = c > p.chapter || v.verse >= p.verse;
+      const beforeEnd = c < p.endChapter || v.verse <= p.endVerse;
+      if(afterStart && beforeEnd) parts.push(v.text.replace(/\s+/g, ' '));
+    }
+  }
+  const text = parts.join(' ');
+  if(!text) return 'Not in this translation';
+  return text.length > PREVIEW ? `${text.slice(0, PREVIEW).replace(/\s+\S*$/, '')}…` : text;
+}
@@ -0,0 +1,125 @@
+// Cross-references (Treasury of Scripture Knowledge, OpenBible.info, ...) from a local file,
+// fetched the first time a chapter asks for them. Accepted files, tried in order:
+//   data/cross-references.tsv   OpenBible export: "From Verse <tab> To Verse <tab> Votes"
+//                               Gen.1.1  Heb.11.3  385   /   Gen.1.1  Prov.8.22-Prov.8.30  59
+//   data/cross-references.json  { "Gen.1.1": ["Heb.11.3", "Ps.33.6-Ps.33.9"], ... }
+//                               or [ { "from": "Gen.1.1", "to": "Heb.11.3", "votes": 385 }, ... ]
+// Verse ids are OSIS ("1John.4.9"). Targets come back in refs.js passage shape plus `votes`,
+// best first; references the community voted down (votes < 0) are left out.
+
+import { bookFromOsis, osisId } from './refs.js';
+
+export const CROSSREF_FILES = ['data/cross-references.tsv', 'data/cross-references.json'];
+
+export class CrossRefs{
+  constructor({ files=CROSSREF_FILES }={}){
+    this.files = files;
+    this._source = null;      // Promise<Map<"Osis.C", [verse, to, votes][]> | null>
+    this._chapters = new Map(); // "Osis.C" -> Map<verse, passage[]>
+  }
+
+  // Resolves false when no cross-reference file is installed
+  async available(){
+    return Boolean(await this._load());
+  }
+
+  // -> Map<verse, passage[]> (empty without a dataset)
+  async forChapter(book, chapter){
+    const rows = await this._load();
+    if(!rows) return new Map();
+    const key = `${osisId(book)}.${chapter}`;
+    if(this._chapters.has(key)) return this._chapters.get(key);
+    const byVerse = new Map();
+    for(const [verse, to, votes] of rows.get(key) || []){
+      const p = parseOsisRange(to);
+      if(!p) continue;
+      p.votes = votes;
+      if(!byVerse.has(verse)) byVerse.set(verse, []);
+      byVerse.get(verse).push(p);
+    }
+    for(const list of byVerse.values()) list.sort((a,b)=> b.votes - a.votes);
+    this._chapters.set(key, byVerse);
+    return byVerse;
+  }
+
+  _load(){
+    this._source ??= this._fetch();
+    return this._source;
+  }
+
+  async _fetch(){
+    for(const url of this.files){
+      let text;
+      try{
+        const res = await fetch(url, { cache:'force-cache' });
+        if(!res.ok) continue;
+        text = await res.text();
+      }catch{ continue; }
+      try{
+        return /^\s*[[{]/.test(text) ? groupJSON(JSON.parse(text)) : groupTSV(text);
+      }catch(e){
+        console.warn(`[crossrefs] ${url} could not be read:`, e);
+      }
+    }
+    return null;
+  }
+}
+
+// Rows are grouped by source chapter (keyed with our own OSIS ids, whatever the file's
+// spelling) and the targets only parsed when that chapter is shown
+function addRow(rows, from, to, votes){
+  const f = String(from || '').trim().split('.');
+  to = String(to || '').trim();
+  if(f.length !== 3 || !to || votes < 0) return;
+  const book = bookOf(f[0]), verse = Number(f[2]);
+  if(!book || !verse) return;
+  const key = `${osisId(book)}.${Number(f[1])}`;
+  if(!rows.has(key)) rows.set(key, []);
+  rows.get(key).push([verse, to, votes]);
+}
+function groupTSV(text){
+  const rows = new Map();
+  for(const line of text.split('\n')){
+    if(!line || line.startsWith('#') || line.startsWith('From')) continue;
+    const [from, to, votes] = line.split('\t');
+    addRow(rows, from, to, Number(votes) || 0);
+  }
+  return rows;
+}
+function groupJSON(json){
+  const rows = new Map();
+  if(Array.isArray(json)){
+    for(const r of json) addRow(rows, r?.from ?? r?.verse, r?.to ?? r?.ref, Number(r?.votes) || 0);
+  }else{
+    for(const [from, list] of Object.entries(json || {})){
+      // Without votes, keep the file's order: earlier entries rank higher
+      (Array.isArray(list) ? list : [list]).forEach((to, i, all)=> addRow(rows, from, to, all.length - i));
+    }
+  }
+  return rows;
+}
+
+// OSIS book id lookups are cached: a full dataset has ~350k references
+const BOOKS = new Map();
+function bookOf(osis){
+  if(!BOOKS.has(osis)) BOOKS.set(osis, bookFromOsis(osis));
+  return BOOKS.get(osis);
+}
+
+// "Prov.8.22", "Prov.8.22-Prov.8.30", "Prov.8.22-30", "Prov.8.22-9.3" -> passage | null
+export function parseOsisRange(s){
+  const [start, end] = String(s).split('-');
+  const a = start.split('.');
+  if(a.length !== 3) return null;
+  const book = bookOf(a[0]);
+  const chapter = Number(a[1]), verse = Number(a[2]);
+  if(!book || !chapter || !verse) return null;
+  const p = { book, chapter, verse, endChapter:chapter, endVerse:verse };
+  if(end){
+    const b = end.split('.');
+    if(b.length === 3 && bookOf(b[0]) !== book) return p; // ranges across books: keep the start
+    const [c, v] = b.length >= 2 ? b.slice(-2).map(Number) : [chapter, Number(b[0])];
+    if(c && v && (c > chapter || (c === chapter && v >= verse))){ p.endChapter = c; p.endVerse = v; }
+  }
+  return p;
+}
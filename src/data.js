@@ -1,30 +1,36 @@
-// Data loader & normalizer
+// Data loader & normalizer (one instance per translation, see versions.js)
 // Supports:
-//  - Inline JSON via <script id="kjv-json" type="application/json">...</script>
+//  - Inline JSON via <script id="kjv-json" type="application/json">...</script> (opts.inlineId)
 //  - Single-file JSON at data/kjv.json
 //  - Per-book JSON files in ./data/books/*.json (various common shapes)
+//  - USFM, OSIS XML or Zefania XML in place of any of the JSON files (formats.js),
+//    or as in-memory text from a file the user opened (opts.text)
 // Uses data/canon.json for book list + chapter counts when single-file is absent.
+// Books are ordered (and numeric book ids named) by a canon: opts.canon, or the one detected from
+// the book names ('auto'); opts.versification names the verse numbering (versification.js).
+// validate() checks a loaded translation against the canon and reports what the loader glossed over.
 
-const BUILT_IN_CANON = [
-  ["Genesis",50],["Exodus",40],["Leviticus",27],["Numbers",36],["Deuteronomy",34],
-  ["Joshua",24],["Judges",21],["Ruth",4],["1 Samuel",31],["2 Samuel",24],
-  ["1 Kings",22],["2 Kings",25],["1 Chronicles",29],["2 Chronicles",36],["Ezra",10],
-  ["Nehemiah",13],["Esther",10],["Job",42],["Psalms",150],["Proverbs",31],
-  ["Ecclesiastes",12],["Song of Solomon",8],["Isaiah",66],["Jeremiah",52],["Lamentations",5],
-  ["Ezekiel",48],["Daniel",12],["Hosea",14],["Joel",3],["Amos",9],
-  ["Obadiah",1],["Jonah",4],["Micah",7],["Nahum",3],["Habakkuk",3],
-  ["Zephaniah",3],["Haggai",2],["Zechariah",14],["Malachi",4],
-  ["Matthew",28],["Mark",16],["Luke",24],["John",21],["Acts",28],
-  ["Romans",16],["1 Corinthians",16],["2 Corinthians",13],["Galatians",6],["Ephesians",6],
-  ["Philippians",4],["Colossians",4],["1 Thessalonians",5],["2 Thessalonians",3],["1 Timothy",6],
-  ["2 Timothy",4],["Titus",3],["Philemon",1],["Hebrews",13],["James",5],
-  ["1 Peter",5],["2 Peter",3],["1 John",5],["2 John",1],["3 John",1],
-  ["Jude",1],["Revelation",22]
-];
-const CANON_66 = BUILT_IN_CANON.map(([n])=>n);
-function bookFromId(n){
-  const i = Number(n) | 0;
-  return (i >= 1 && i <= 66) ? CANON_66[i-1] : null;
+import { detectFormat, parseBibleText } from './formats.js';
+import { parseMarkup } from './rich.js';
+import { CANONS, findCanon, bookFromId, detectCanon } from './canon.js';
+import { DEFAULT_SCHEME } from './versification.js';
+
+// The 66-book canon (book, chapters); other canons and numeric book ids are in canon.js
+export const BUILT_IN_CANON = [...CANONS.protestant.chapters];
+export const CANON_66 = BUILT_IN_CANON.map(([n])=>n);
+// FNV-1a; cheap fingerprint used to version derived data (e.g. the search index)
+function hashString(s){
+  let h = 0x811c9dc5;
+  for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+// A verse row the loader could not read: counted, with a few examples for validate()
+function skip(skipped, row){
+  skipped.rows++;
+  if(skipped.examples.length < 5){
+    const json = JSON.stringify(row) ?? String(row);
+    skipped.examples.push(json.length > 160 ? `${json.slice(0, 160)}…` : json);
+  }
 }
 function firstArrayInObject(obj){
   if(!obj || typeof obj!=='object') return [];
@@ -35,29 +41,65 @@ function firstArrayInObject(obj){
   const arrs = Object.values(obj).filter(Array.isArray);
   return arrs.length ? arrs.flat() : [];
 }
+// One JSON verse: a leading "¶" or "#" starts a paragraph; [supplied] and ‹words of Christ›
+// markup becomes `parts` (rich.js); a string heading/header is a section heading
+function jsonVerse(book, chapter, verse, raw, { paragraphStart=false, heading=null }={}){
+  let text = typeof raw === 'string' ? raw : String(raw ?? '');
+  if(/^¶/.test(text)){ paragraphStart = true; text = text.replace(/^¶\s*/, ''); }
+  if(text.startsWith('#')){ paragraphStart = true; text = text.replace(/^#+\s*/, ''); }
+  const rich = parseMarkup(text);
+  const row = { book, chapter, verse, text:rich.text, paragraphStart };
+  if(rich.parts) row.parts = rich.parts;
+  if(typeof heading === 'string' && heading.trim()){ row.heading = heading.trim(); row.paragraphStart = true; }
+  return row;
+}
 
 export class Data{
   constructor(opts){
+    this.id         = opts.id ?? null;
+    this.inlineId   = opts.inlineId ?? null;
     this.singleFile = opts.singleFile;
     this.perBookDir = opts.perBookDir;
     this.canonFile  = opts.canonFile;
+    this.perBookExt = opts.perBookExt ?? '.json';
+    this.text       = opts.text ?? null; // whole Bible as text (local file)
+    this.canonChoice   = opts.canon ?? 'auto';                  // canon id (canon.js) or 'auto'
+    this.versification = opts.versification ?? DEFAULT_SCHEME;  // verse numbering (versification.js)
+    this.canon      = null;              // canon id in use: the choice, or the one that fits the books
+    this.title      = null;              // title found in the source, if any
     this.books = [];
     this._bookChapters = new Map(); // book -> chapterCount
     this._cache = new Map();        // `${book}:${chapter}` -> verses[]
     this._singleByRef = null;       // Map `${book}:${chapter}` -> verses[]
+    this.version = null;            // fingerprint of the loaded dataset
+    this.mode = null;               // where the text came from: 'text' | 'inline' | 'file' | 'books'
+    this._canon = null;             // books mode: Map book -> chapters from canon.json or the built-in list
+    this._skipped = new Map();      // book (null: whole file) -> { rows, examples } dropped for unknown field names
+    this.bookHashes = new Map();    // books mode: book -> fingerprint of its file as last fetched
+    this.onBookHash = null;         // (book, hash) when a book file is first read or its text changed
   }
 
   async init(){
+    // 0) In-memory text: no fallbacks, errors go to the caller
+    if(this.text != null){
+      this._ingestText(this.text);
+      this.version = this._fingerprint('local', this.text);
+      this.mode = 'text';
+      return;
+    }
+
     // 1) Inline JSON (no fetch, no CORS)
     let singleLoaded = false;
     try{
-      const el = document.getElementById('kjv-json');
+      const el = this.inlineId ? document.getElementById(this.inlineId) : null;
       const raw = el?.textContent?.trim();
       if(raw && raw.length){
         let json;
         try{ json = JSON.parse(raw); }
-        catch(e){ throw new Error(`Inline kjv-json could not be parsed: ${e.message}`); }
+        catch(e){ throw new Error(`Inline ${this.inlineId} could not be parsed: ${e.message}`); }
         this._ingestSingle(json);
+        this.version = this._fingerprint('inline', raw);
+        this.mode = 'inline';
         singleLoaded = true;
       }
     }catch(e){
@@ -73,8 +115,9 @@ export class Data{
           if(/<html/i.test(text.slice(0,512))){
             throw new Error(`"${this.singleFile}" looks like an HTML page, not JSON`);
           }
-          const json = JSON.parse(text);
-          this._ingestSingle(json);
+          this._ingestText(text);
+          this.version = this._fingerprint('file', text);
+          this.mode = 'file';
           singleLoaded = true;
         }
       }
@@ -83,24 +126,45 @@ export class Data{
     }
 
     // 3) If still not loaded, fall back to canon for list & counts (per-book fetch will be used)
+    // (a chosen canon replaces canon.json, which lists the 66 books)
     if(!singleLoaded){
       let canon = null;
       try{
-        const res = await fetch(this.canonFile, { cache:'force-cache' });
-        if(res.ok) canon = await res.json();
+        const res = this.canonChoice === 'auto' ? await fetch(this.canonFile, { cache:'force-cache' }) : null;
+        if(res?.ok) canon = await res.json();
       }catch(_){ /* ignore */ }
 
       if(canon && Array.isArray(canon)){
         this.books = canon.map(e=>e.name);
         for(const e of canon) this._bookChapters.set(e.name, Number(e.chapters));
+        this._canon = { source:this.canonFile, chapters:new Map(this._bookChapters) };
+        this.canon = detectCanon(this.books);
       }else{
         // Minimal fallback
-        this.books = [...CANON_66];
-        this._bookChapters = new Map(BUILT_IN_CANON.map(([name, chs]) => [name, chs]));
+        this.canon = this._canonFor([]);
+        const def = findCanon(this.canon);
+        this.books = [...def.order];
+        this._bookChapters = new Map(def.chapters);
+        this._canon = { source:def.name, chapters:new Map(def.chapters) };
       }
+      // Per-book files are fetched lazily, so version on the directory + book layout; the text of each
+      // book is fingerprinted as it is fetched (bookHashes), which the search index is checked against
+      this.version = this._fingerprint('books', JSON.stringify([this.perBookDir, this.indexMeta()]));
+      this.mode = 'books';
     }
   }
 
+  // Files the text is read from, for offline copies: [{ book, url }] (book null for shared files).
+  // Empty when the text is already in memory (inline JSON or an opened file).
+  dataFiles(){
+    if(this.mode === 'file') return [{ book:null, url:this.singleFile }];
+    if(this.mode !== 'books') return [];
+    return [
+      ...(this.canonFile ? [{ book:null, url:this.canonFile }] : []),
+      ...this.books.map(b=> ({ book:b, url:this._bookUrl(b) })),
+    ];
+  }
+
   hasBook(b){ return this.books.includes(b); }
 
   resolveBook(q){
@@ -126,9 +190,10 @@ export class Data{
     }
 
     // Per-book: fetch once then slice
-    const jb = await this._fetchMaybe(`${this.perBookDir}${encodeURIComponent(book)}.json`);
-    if(!jb) throw new Error(`Missing data for book: ${book}`);
-    const { chapterCount, chapters } = this._normalizePerBook(book, jb);
+    const text = await this._fetchMaybe(this._bookUrl(book));
+    if(!text) throw new Error(`Missing data for book: ${book}`);
+    this._noteBookText(book, text);
+    const { chapterCount, chapters } = this._parsePerBook(book, text);
     if(!this._bookChapters.has(book) || this._bookChapters.get(book) !== chapterCount){
       this._bookChapters.set(book, chapterCount);
     }
@@ -139,13 +204,131 @@ export class Data{
 
   indexMeta(){
     return {
+      source: this.id,
+      version: this.version,
       books: this.books,
       chapterCounts: this.books.map(b=> this.chapterCount(b)),
     };
   }
 
+  // Integrity report of the loaded translation against canon.json (or the built-in canon):
+  // missing books, chapter counts, verse gaps and duplicates, empty verses and skipped rows.
+  // Per-book translations read every book file: onProgress({ done, total, book }); stops when `signal` aborts.
+  // -> { id, version, mode, canon, checkedAt, complete, summary:{ books, chapters, verses, errors, warnings },
+  //      issues:[{ level:'error'|'warning', kind, message, book?, chapter?, verses?, ... }] }
+  async validate({ onProgress, signal }={}){
+    const canon = this._canon || await this._referenceCanon();
+    const issues = [];
+    const add = (level, kind, message, extra)=> issues.push({ level, kind, message, ...extra });
+    const summary = { books:0, chapters:0, verses:0 };
+
+    for(const b of canon.chapters.keys()){
+      if(!this.books.includes(b)) add('warning', 'missing-book', `${b} is missing`, { book:b });
+    }
+    let done = 0;
+    for(const book of this.books){
+      if(signal?.aborted) break;
+      const chapters = await this._chaptersForCheck(book, add);
+      done++;
+      onProgress?.({ done, total:this.books.length, book });
+      if(!chapters) continue;
+      summary.books++;
+      if(!canon.chapters.has(book)) add('warning', 'unknown-book', `${book} is not in the canon`, { book });
+      if(!chapters.size){ add('error', 'no-chapters', `${book}: no chapters could be read`, { book }); continue; }
+      const last = Math.max(...chapters.keys());
+      const expected = canon.chapters.get(book);
+      if(expected && last !== expected){
+        add('warning', 'chapter-count', `${book} has ${last} chapter${last === 1 ? '' : 's'}; the canon has ${expected}`, { book, found:last, expected });
+      }
+      for(let c=1; c<=last; c++){
+        const verses = chapters.get(c) || [];
+        if(!verses.length){ add('error', 'missing-chapter', `${book} ${c} has no verses`, { book, chapter:c }); continue; }
+        summary.chapters++;
+        summary.verses += verses.length;
+        checkVerses(book, c, verses, add);
+      }
+    }
+    for(const [book, { rows, examples }] of this._skipped){
+      if(!rows) continue;
+      const where = book ? ` in ${book}` : '';
+      add('error', 'skipped-rows', `${rows} verse row${rows === 1 ? ' was' : 's were'} skipped${where}: unknown field names`,
+        { book:book ?? undefined, rows, examples });
+    }
+    summary.errors = issues.filter(i=> i.level === 'error').length;
+    summary.warnings = issues.length - summary.errors;
+    return { id:this.id, version:this.version, mode:this.mode, canon:canon.source, checkedAt:new Date().toISOString(),
+      complete: !signal?.aborted, summary, issues };
+  }
+
   // --- internal helpers
 
+  // The canon a whole-file translation is checked against: canon.json when it loads and the books
+  // are the Protestant 66, else the built-in definition of this.canon
+  async _referenceCanon(){
+    if(this.canon === 'protestant' && this.canonChoice === 'auto'){
+      try{
+        const res = this.canonFile ? await fetch(this.canonFile, { cache:'force-cache' }) : null;
+        const canon = res?.ok ? await res.json() : null;
+        if(Array.isArray(canon)) return { source:this.canonFile, chapters:new Map(canon.map(e=> [e.name, Number(e.chapters)])) };
+      }catch(_){ /* fall back */ }
+    }
+    const def = findCanon(this.canon);
+    return { source:def.name, chapters:new Map(def.chapters) };
+  }
+
+  // The chosen canon, or the one that best fits `books` (names in file order)
+  _canonFor(books){
+    if(CANONS[this.canonChoice]) return this.canonChoice;
+    return books.length ? detectCanon(books) : 'protestant';
+  }
+
+  _noteBookText(book, text){
+    const hash = hashString(text);
+    if(this.bookHashes.get(book) === hash) return;
+    this.bookHashes.set(book, hash);
+    this.onBookHash?.(book, hash);
+  }
+
+  // Dataset fingerprint; a chosen canon can name and order the books differently, so it is part of it
+  _fingerprint(kind, s){
+    return `${kind}-${hashString(s)}${CANONS[this.canonChoice] ? `-${this.canonChoice}` : ''}`;
+  }
+
+  // Every chapter of a book (Map chapter -> verses) for validate(), or null when it cannot be read
+  async _chaptersForCheck(book, add){
+    if(this._singleByRef){
+      const chapters = new Map();
+      for(let c=1; c<=this.chapterCount(book); c++){
+        const verses = this._singleByRef.get(`${book}:${c}`);
+        if(verses) chapters.set(c, verses);
+      }
+      return chapters;
+    }
+    const text = await this._fetchMaybe(this._bookUrl(book));
+    if(!text){ add('error', 'missing-book', `${book}: ${this._bookUrl(book)} could not be loaded`, { book }); return null; }
+    this._noteBookText(book, text);
+    try{
+      return this._parsePerBook(book, text).chapters;
+    }catch(e){
+      add('error', 'unreadable-book', `${book}: ${e.message}`, { book });
+      return null;
+    }
+  }
+
+
+  // Whole-Bible text in any supported format
+  _ingestText(text){
+    const format = detectFormat(text);
+    if(format && format !== 'json'){
+      const { rows, title } = parseBibleText(text);
+      if(!rows.length) throw new Error(`The ${format.toUpperCase()} text contained no verses.`);
+      this.title = title;
+      this._ingestRows(rows);
+      return;
+    }
+    this._ingestSingle(JSON.parse(text));
+  }
+
   _ingestSingle(json){
     // Accept array of verse rows OR any object that contains such an array.
     let arr = [];
@@ -153,26 +336,28 @@ export class Data{
     else if(json && typeof json==='object') arr = firstArrayInObject(json);
 
     const verses = [];
-    let sawBad = false;
+    const skipped = { rows:0, examples:[] };
+    this._skipped.set(null, skipped);
+    let sawBad = false, maxId = 0;
     for(const r of (arr||[])){
-      // Book name or numeric id 1..66
-      // Prefer string-based names; map numeric ids only if needed
+      // Book name or numeric id
+      // Prefer string-based names; map numeric ids only if needed. Ids follow the chosen canon;
+      // unchosen, 1–66 are the Protestant books and 67 on the Apocrypha (the common extension)
       let book =
         r.book_name ?? r.bookName ?? r.name ?? r.Book ?? r.BOOK ?? null;
       if(!book){
         const bid = r.book ?? r.book_id ?? r.bookid ?? r.b ?? r.bookNumber ?? r.book_number ?? r.bookIndex;
-        if(bid != null) book = bookFromId(bid);
+        if(bid != null){
+          book = bookFromId(bid, CANONS[this.canonChoice] ? this.canonChoice : 'protestant-apocrypha');
+          maxId = Math.max(maxId, Number(bid) | 0);
+        }
       }
       const chapter = Number(r.chapter ?? r.c ?? r.Chapter ?? r.CHAPTER ?? r.chapter_number ?? r.ch);
       const verse   = Number(r.verse   ?? r.v ?? r.Verse   ?? r.VERSE   ?? r.verse_number   ?? r.vs);
-      if(!book || !Number.isFinite(chapter) || !Number.isFinite(verse)){ sawBad = true; continue; }
-
-      let text = r.text ?? r.t ?? r.content ?? r.body ?? r.value ?? r.words ?? '';
-      if(typeof text !== 'string') text = String(text ?? '');
-      let paragraphStart = false;
-      if(/^¶/.test(text)){ paragraphStart = true; text = text.replace(/^¶\s*/, ''); }
-      if(text.startsWith('#')){ paragraphStart = true; text = text.replace(/^#+\s*/, ''); }
-      verses.push({ book, chapter, verse, text, paragraphStart });
+      if(!book || !Number.isFinite(chapter) || !Number.isFinite(verse)){ sawBad = true; skip(skipped, r); continue; }
+
+      const text = r.text ?? r.t ?? r.content ?? r.body ?? r.value ?? r.words ?? '';
+      verses.push(jsonVerse(book, chapter, verse, text, { heading: r.heading ?? r.header }));
     }
 
     if(!verses.length){
@@ -180,7 +365,12 @@ export class Data{
       if(sawBad) throw new Error('KJV JSON parsed but verse rows used unknown field names.');
       throw new Error('KJV JSON parsed but contained no verse rows.');
     }
+    // Ids past 66 were read as the Apocrypha, whatever other canon the names would fit
+    this._ingestRows(verses, maxId > 66 && !CANONS[this.canonChoice] ? 'protestant-apocrypha' : null);
+  }
 
+  // Verse rows ({ book, chapter, verse, text, paragraphStart, heading?, poetry? }) -> books, counts, chapter map
+  _ingestRows(verses, canon=null){
     // Organize by book/chapter
     const byBook = new Map();
     for(const v of verses){
@@ -192,7 +382,8 @@ export class Data{
 
     // Canonical order when possible
     const present = new Set(byBook.keys());
-    const ordered = CANON_66.filter(b=>present.has(b));
+    this.canon = canon ?? this._canonFor([...byBook.keys()]);
+    const ordered = findCanon(this.canon).order.filter(b=>present.has(b));
     for(const b of byBook.keys()){ if(!ordered.includes(b)) ordered.push(b); }
     this.books = ordered.length ? ordered : Array.from(byBook.keys());
 
@@ -207,14 +398,30 @@ export class Data{
       for(const [c, arr2] of chs.entries()){
         // Ensure verses are sorted
         arr2.sort((a,b)=>a.verse - b.verse);
-        this._singleByRef.set(`${b}:${c}`, arr2.map(v=>({ book:b, chapter:c, verse:v.verse, text:v.text, paragraphStart:v.paragraphStart })));
+        this._singleByRef.set(`${b}:${c}`, arr2.map(v=>({ ...v, book:b, chapter:c })));
       }
     }
   }
 
+  // One book's file: JSON shapes below, or USFM/OSIS/Zefania text
+  _parsePerBook(book, text){
+    const format = detectFormat(text);
+    if(!format || format === 'json') return this._normalizePerBook(book, JSON.parse(text));
+    const chapters = new Map();
+    for(const v of parseBibleText(text, { book }).rows){
+      if(!chapters.has(v.chapter)) chapters.set(v.chapter, []);
+      chapters.get(v.chapter).push({ ...v, book });
+    }
+    for(const arr of chapters.values()) arr.sort((a,b)=>a.verse-b.verse);
+    const chapterCount = chapters.size ? Math.max(...chapters.keys()) : (this._bookChapters.get(book) || 1);
+    return { chapterCount, chapters };
+  }
+
   _normalizePerBook(book, jb){
     // Produce: { chapterCount, chapters: Map<chapter, verse[]> }
     const chapters = new Map();
+    const skipped = { rows:0, examples:[] };
+    this._skipped.set(book, skipped);
 
     // Shape A: { chapters: [ { chapter: 1, verses: [{verse, text, header?}, ...] }, ... ] }
     if(Array.isArray(jb?.chapters)){
@@ -222,11 +429,11 @@ export class Data{
         const cnum = Number(ch.chapter ?? ch.number ?? ch.c ?? chapters.size+1);
         const arr = [];
         for(const v of (ch.verses || ch.Verses || [])){
-          let txt = String(v.text ?? v.t ?? v.body ?? '');
-          let paragraphStart = Boolean(v.header || v.paragraphStart);
-          if(/^¶/.test(txt)){ paragraphStart = true; txt = txt.replace(/^¶\s*/, ''); }
-          if(txt.startsWith('#')){ paragraphStart = true; txt = txt.replace(/^#+\s*/, ''); }
-          arr.push({ book, chapter:cnum, verse:Number(v.verse ?? v.v ?? v.number), text:txt, paragraphStart });
+          const vnum = Number(v.verse ?? v.v ?? v.number);
+          if(!Number.isFinite(vnum)){ skip(skipped, v); continue; }
+          arr.push(jsonVerse(book, cnum, vnum, v.text ?? v.t ?? v.body, {
+            paragraphStart: Boolean(v.header || v.paragraphStart), heading: v.heading ?? v.header,
+          }));
         }
         arr.sort((a,b)=>a.verse-b.verse);
         chapters.set(cnum, arr);
@@ -240,11 +447,7 @@ export class Data{
           const arr = [];
           for(const [vk, vv] of Object.entries(v)){
             if(!/^\d+$/.test(vk)) continue;
-            let txt = String(vv);
-            let paragraphStart = false;
-            if(/^¶/.test(txt)){ paragraphStart = true; txt = txt.replace(/^¶\s*/, ''); }
-            if(txt.startsWith('#')){ paragraphStart = true; txt = txt.replace(/^#+\s*/, ''); }
-            arr.push({ book, chapter:cnum, verse:Number(vk), text:txt, paragraphStart });
+            arr.push(jsonVerse(book, cnum, Number(vk), vv));
           }
           arr.sort((a,b)=>a.verse-b.verse);
           chapters.set(cnum, arr);
@@ -255,11 +458,40 @@ export class Data{
     return { chapterCount, chapters };
   }
 
+  _bookUrl(book){ return `${this.perBookDir}${encodeURIComponent(book)}${this.perBookExt}`; }
+
   async _fetchMaybe(url){
     try{
       const res = await fetch(url, { cache:'force-cache' });
-      if(res.ok) return res.json();
+      if(res.ok) return res.text();
     }catch(_){}
     return null;
   }
 }
+
+// Verse numbering of one chapter (sorted by verse): gaps, duplicates and empty verses, one issue each
+function checkVerses(book, chapter, verses, add){
+  const missing = [], dupes = [], empty = [];
+  let prev = 0; // verse 0 (a superscription) may come first
+  for(const [i, v] of verses.entries()){
+    if(i && v.verse === verses[i-1].verse) dupes.push(v.verse);
+    for(let n=prev+1; n<v.verse; n++) missing.push(n);
+    if(!String(v.text ?? '').trim()) empty.push(v.verse);
+    prev = Math.max(prev, v.verse);
+  }
+  const ref = `${book} ${chapter}`;
+  if(missing.length) add('warning', 'verse-gap', `${ref}: verse${missing.length === 1 ? '' : 's'} ${numberRanges(missing)} missing`, { book, chapter, verses:missing });
+  if(dupes.length) add('error', 'duplicate-verse', `${ref}: verse${dupes.length === 1 ? '' : 's'} ${numberRanges(dupes)} appear${dupes.length === 1 ? 's' : ''} more than once`, { book, chapter, verses:dupes });
+  if(empty.length) add('warning', 'empty-verse', `${ref}: verse${empty.length === 1 ? '' : 's'} ${numberRanges(empty)} ${empty.length === 1 ? 'is' : 'are'} empty`, { book, chapter, verses:empty });
+}
+
+// [3,4,5,9] -> "3–5, 9"
+function numberRanges(nums){
+  const out = [];
+  for(const n of [...new Set(nums)]){
+    const last = out[out.length-1];
+    if(last && n === last[1] + 1) last[1] = n;
+    else out.push([n, n]);
+  }
+  return out.map(([a, b])=> a === b ? `${a}` : `${a}–${b}`).join(', ');
+}
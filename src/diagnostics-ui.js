@@ -0,0 +1,87 @@
+// Diagnostics drawer panel: Data.validate() for the current translation, its problems linked to
+// the chapters they are in, and the full report as a JSON download.
+
+import { h, drawerPanel, downloadJSON } from './ui.js';
+
+const SHOWN = 200; // issues listed in the panel; the download has all of them
+
+// ctx: { drawer, getData() -> Data, linkFor(book, chapter, verse) }
+export function setupDiagnostics(ctx){
+  const body = drawerPanel(ctx.drawer, 'Diagnostics', { id:'diagnosticsPanel' });
+  const run = h('button', { type:'button', className:'ghost small', onclick:()=> check() }, 'Check this translation');
+  const cancel = h('button', { type:'button', className:'ghost small', hidden:true, onclick:()=> job?.abort() }, 'Cancel');
+  const save = h('button', { type:'button', className:'ghost small', hidden:true, onclick: download }, 'Download report');
+  const progress = h('progress', { className:'diag-progress', max:1, value:0, hidden:true });
+  const status = h('p', { className:'small', role:'status' });
+  const list = h('ul', { className:'diag-list small' });
+  body.append(
+    h('p', { className:'small muted' }, 'Looks for missing books and chapters, verse numbering gaps, empty verses and rows the loader could not read.'),
+    h('div', { className:'row' }, run, cancel, save),
+    progress, status, list);
+
+  let report = null;
+  let job = null; // AbortController of the running check
+  const panel = body.closest('details');
+
+  async function check(){
+    if(job) return;
+    const data = ctx.getData();
+    job = new AbortController();
+    run.disabled = true;
+    cancel.hidden = data.mode !== 'books';
+    progress.hidden = false;
+    progress.value = 0;
+    save.hidden = true;
+    list.replaceChildren();
+    status.textContent = 'Checking…';
+    try{
+      report = await data.validate({ signal:job.signal, onProgress:({ done, total, book })=>{
+        progress.value = total ? done / total : 1;
+        status.textContent = `Checking ${book}… ${done} of ${total}`;
+      } });
+      show(report);
+    }catch(e){
+      console.error('[diagnostics]', e);
+      status.textContent = `The check failed: ${e.message}`;
+    }finally{
+      job = null;
+      run.disabled = false;
+      cancel.hidden = progress.hidden = true;
+    }
+  }
+
+  function show(r){
+    const { books, chapters, verses, errors, warnings } = r.summary;
+    const found = errors || warnings
+      ? `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`
+      : 'no problems found';
+    status.textContent = `${r.id}: ${books} books, ${chapters} chapters, ${verses} verses checked against ${r.canon} — ${found}`
+      + (r.complete ? '.' : ' (stopped early).');
+    list.replaceChildren(...r.issues.slice(0, SHOWN).map((i)=> h('li', { className:`diag-${i.level}` },
+      i.book && i.chapter && i.kind !== 'missing-chapter'
+        ? h('a', { href:ctx.linkFor(i.book, i.chapter, i.verses?.[0] ?? null) }, i.message)
+        : i.message,
+      i.examples?.length ? h('pre', { className:'diag-examples' }, i.examples.join('\n')) : null)));
+    if(r.issues.length > SHOWN) list.append(h('li', { className:'muted' }, `…and ${r.issues.length - SHOWN} more in the report`));
+    save.hidden = false;
+  }
+
+  function download(){
+    if(report) downloadJSON(`${report.id || 'bible'}-diagnostics.json`, report);
+  }
+
+  // Translations held in memory are checked in a moment; per-book ones fetch every book, so they wait for the button
+  panel.addEventListener('toggle', ()=>{
+    const data = ctx.getData();
+    if(panel.open && !job && data.mode !== 'books' && report?.version !== data.version) check();
+  });
+
+  // Open the panel from elsewhere (e.g. a chapter that came out empty) and run the check
+  function open(){
+    panel.open = true;
+    panel.scrollIntoView({ block:'start' });
+    if(report?.version !== ctx.getData().version) check();
+  }
+
+  return { open };
+}
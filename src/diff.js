@@ -0,0 +1,58 @@
+// Word-level diff (LCS over word tokens)
+// Words compare case- and punctuation-insensitively, so "LORD," vs "Lord" is equal;
+// the output keeps each side's original spelling.
+
+function tokens(text){
+  return String(text).trim().split(/\s+/).filter(Boolean);
+}
+function norm(w){
+  return w.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// -> [{ op:'eq'|'del'|'ins'|'chg', a?, b? }]; `a`/`b` are the word runs from each side.
+// A deletion directly followed by an insertion is reported as one 'chg'.
+export function diffWords(textA, textB){
+  const a = tokens(textA), b = tokens(textB);
+  const ka = a.map(norm), kb = b.map(norm);
+  const n = a.length, m = b.length;
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length:n+1 }, ()=> new Uint16Array(m+1));
+  for(let i=n-1;i>=0;i--){
+    for(let j=m-1;j>=0;j--){
+      lcs[i][j] = ka[i] === kb[j] ? lcs[i+1][j+1] + 1 : Math.max(lcs[i+1][j], lcs[i][j+1]);
+    }
+  }
+  const raw = [];
+  let i = 0, j = 0;
+  while(i < n || j < m){
+    if(i < n && j < m && ka[i] === kb[j]){ raw.push({ op:'eq', a:a[i], b:b[j] }); i++; j++; }
+    else if(j < m && (i === n || lcs[i][j+1] >= lcs[i+1][j])){ raw.push({ op:'ins', b:b[j] }); j++; }
+    else { raw.push({ op:'del', a:a[i] }); i++; }
+  }
+  // Merge runs of the same op, then pair del+ins into changes
+  const runs = [];
+  for(const t of raw){
+    const last = runs[runs.length-1];
+    if(last && last.op === t.op){
+      if(t.a) last.a.push(t.a);
+      if(t.b) last.b.push(t.b);
+    }else{
+      runs.push({ op:t.op, a: t.a ? [t.a] : [], b: t.b ? [t.b] : [] });
+    }
+  }
+  const out = [];
+  for(let k=0;k<runs.length;k++){
+    const r = runs[k], next = runs[k+1];
+    if((r.op === 'del' && next?.op === 'ins') || (r.op === 'ins' && next?.op === 'del')){
+      out.push({ op:'chg', a:[...r.a, ...next.a].join(' '), b:[...r.b, ...next.b].join(' ') });
+      k++;
+    }else{
+      out.push({ op:r.op, a:r.a.join(' '), b:r.b.join(' ') });
+    }
+  }
+  return out;
+}
+
+export function isSame(ops){
+  return ops.every(o=> o.op === 'eq');
+}
@@ -0,0 +1,469 @@
+// Bible text formats beyond JSON: USFM, OSIS XML and Zefania XML
+// Each parser yields verse rows in the loader's model:
+//   { book, chapter, verse, text, paragraphStart, heading?, poetry? }
+//   heading: section heading(s) shown before the verse, one per line
+//   poetry:  indent level (1, 2, ...) of a verse set as poetry; further lines of the
+//            same verse are separated by "\n"
+//   parts:   inline runs when the verse has notes, supplied words, words of Christ,
+//            Strong's numbers or poetry lines (see rich.js)
+
+import { CANON_66 } from './data.js';
+import { bookFromOsis } from './refs.js';
+import { partsText } from './rich.js';
+import { strongId } from './lexicon.js';
+
+// Paratext book codes in canon order (same index as CANON_66)
+const USFM_BOOKS = [
+  'GEN','EXO','LEV','NUM','DEU','JOS','JDG','RUT','1SA','2SA','1KI','2KI','1CH','2CH','EZR','NEH','EST',
+  'JOB','PSA','PRO','ECC','SNG','ISA','JER','LAM','EZK','DAN','HOS','JOL','AMO','OBA','JON','MIC','NAM',
+  'HAB','ZEP','HAG','ZEC','MAL','MAT','MRK','LUK','JHN','ACT','ROM','1CO','2CO','GAL','EPH','PHP','COL',
+  '1TH','2TH','1TI','2TI','TIT','PHM','HEB','JAS','1PE','2PE','1JN','2JN','3JN','JUD','REV',
+];
+// Deuterocanonical books (canon.js names)
+const USFM_DC = {
+  TOB:'Tobit', JDT:'Judith', ESG:'Additions to Esther', WIS:'Wisdom of Solomon', SIR:'Sirach', BAR:'Baruch',
+  LJE:'Letter of Jeremiah', S3Y:'Prayer of Azariah', SUS:'Susanna', BEL:'Bel and the Dragon',
+  '1MA':'1 Maccabees', '2MA':'2 Maccabees', '3MA':'3 Maccabees', '4MA':'4 Maccabees',
+  '1ES':'1 Esdras', '2ES':'2 Esdras', MAN:'Prayer of Manasseh',
+};
+
+// 'json' | 'usfm' | 'osis' | 'zefania' | null
+export function detectFormat(text){
+  const head = String(text).replace(/^\uFEFF/, '').trimStart().slice(0, 4096);
+  if(/^[[{]/.test(head)) return 'json';
+  if(/^\\(id|c|v|p|h|toc\d|mt\d?|usfm)\b/m.test(head)) return 'usfm';
+  if(/<osis[\s>]|<osisText[\s>]/.test(head)) return 'osis';
+  if(/<XMLBIBLE[\s>]/i.test(head)) return 'zefania';
+  return null;
+}
+
+// -> { format, rows, title }
+export function parseBibleText(text, { book=null }={}){
+  const format = detectFormat(text);
+  if(format === 'usfm') return { format, ...parseUSFM(text, { book }) };
+  if(format === 'osis') return { format, ...parseOSIS(text) };
+  if(format === 'zefania') return { format, ...parseZefania(text) };
+  throw new Error(format === 'json' ? 'JSON is handled by the loader itself' : 'Unrecognized Bible format (expected JSON, USFM, OSIS or Zefania)');
+}
+
+// --- Shared row building
+function rowBuilder(){
+  const rows = [];
+  // add / woc: depth of open supplied-words / words-of-Christ elements; strong: ids of the open word
+  const st = { book:null, chapter:0, cur:null, para:false, heading:'', poetry:0, add:0, woc:0, strong:null };
+  return {
+    st, rows,
+    start(verse){
+      const heading = st.heading.split('\n').map(h=> h.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+      st.cur = { book:st.book, chapter:st.chapter, verse, parts:[], paragraphStart:st.para, heading, poetry:st.poetry };
+      st.para = false; st.heading = '';
+      rows.push(st.cur);
+    },
+    text(s){
+      if(!st.cur) return;
+      const strong = st.strong?.length ? [...st.strong] : null;
+      st.cur.parts.push(st.add || st.woc || strong ? { s, add:st.add > 0, woc:st.woc > 0, strong } : s);
+    },
+    note(kind, s){
+      s = String(s).replace(/\s+/g, ' ').trim();
+      if(st.cur && s) st.cur.parts.push({ note:kind, s });
+    },
+    hasText(){ return !!st.cur?.parts.some(p=> p.note == null && p.br == null && (p.s ?? p).trim()); },
+    line(level=1){ if(this.hasText()) st.cur.parts.push({ br:level }); },
+    end(){ st.cur = null; },
+    finish(){
+      return rows.filter(r=> r.book && r.chapter && r.verse).map(r=>{
+        const parts = tidy(r.parts);
+        const row = { book:r.book, chapter:r.chapter, verse:r.verse, text:partsText(parts), paragraphStart:r.paragraphStart };
+        if(r.heading) row.heading = r.heading;
+        if(r.poetry) row.poetry = r.poetry;
+        if(parts.some(p=> typeof p !== 'string')) row.parts = parts;
+        return row;
+      });
+    },
+  };
+}
+
+// Collapse whitespace, merge neighbouring runs of the same style and trim at line edges
+function tidy(parts){
+  const runs = [];
+  for(const p of parts){
+    if(p.note != null || p.br != null){ runs.push(p); continue; }
+    const run = typeof p === 'string' ? { s:p } : { ...p };
+    run.s = run.s.replace(/\s+/g, ' ');
+    const prev = runs[runs.length-1];
+    const same = prev && prev.s != null && prev.note == null && !prev.strong && !run.strong
+      && !prev.add === !run.add && !prev.woc === !run.woc;
+    if(same) prev.s += run.s;
+    else runs.push(run);
+  }
+  const atEdge = (i, dir)=>{
+    for(let j=i+dir; j>=0 && j<runs.length; j+=dir){
+      if(runs[j].br != null) return true;
+      if(runs[j].note == null && runs[j].s.trim()) return false;
+    }
+    return true;
+  };
+  const out = [];
+  runs.forEach((r, i)=>{
+    if(r.note != null || r.br != null){ out.push(r); return; }
+    let s = r.s;
+    if(atEdge(i, -1)) s = s.trimStart();
+    if(atEdge(i, 1)) s = s.trimEnd();
+    if(!s) return;
+    if(!r.add && !r.woc && !r.strong){ out.push(s); return; }
+    const run = { s };
+    if(r.add) run.add = true;
+    if(r.woc) run.woc = true;
+    if(r.strong) run.strong = r.strong;
+    out.push(run);
+  });
+  while(out[0]?.br != null) out.shift();
+  while(out[out.length-1]?.br != null) out.pop();
+  return out;
+}
+
+// --- USFM
+
+// Paragraph-level markers whose content is verse text (\p, \m, \q1, \li, ...)
+const USFM_TEXT = /^(p|m|po|pr|pc|pmo|pm|pmc|pmr|pi\d?|mi|nb|cls|li\d?|lim\d?|ph\d?|b|q\d?|qr|qc|qa|qm\d?|qd)$/;
+const USFM_POETRY = /^(q|qm)(\d?)$/;
+// Headings kept for the next verse
+const USFM_HEADING = /^(s\d?|ms\d?|mr|sr|d|sp|qa)$/;
+// Notes: collected up to their closing marker; the anchor reference (\fr, \xo) is left out
+const USFM_NOTES = new Set(['f', 'fe', 'x', 'ef', 'ex']);
+const USFM_NOTE_ANCHOR = /^(fr|xo)$/;
+// Character markers shown as styled runs (counted in the row builder)
+const USFM_STYLES = { add:'add', wj:'woc' };
+// Alternate numbering, figures, inline quotation references: closed like notes, not text
+const USFM_INLINE_SKIP = /^(ca|va|vp|fig|rq)$/;
+// Identification, introductions, titles, remarks, parallel references, chapter labels
+const USFM_SKIP = /^(ide|h|toca?\d|mte?\d?|imte?\d?|is\d?|ip|ipi|im|imi|ipq|imq|ipr|iq\d?|ib|ili\d?|iot|io\d?|ior|iex|ie|rem|sts|restore|cl|cp|r|periph|usfm|lit)$/;
+
+export function parseUSFM(text, { book=null }={}){
+  const b = rowBuilder();
+  const { st } = b;
+  st.book = book;
+  let mode = 'skip';       // 'text' | 'heading' | 'skip' for the current paragraph marker
+  let skipNote = null;     // closing marker of the inline element being skipped
+  let note = null;         // note being collected: { kind, close, s, anchor, caller }
+  let pendingLine = null;  // poetry marker after verse text: { level, para }; a line if the verse goes on
+  let title = null;
+  const tokens = String(text).replace(/^\uFEFF/, '').split(/(\\\+?[a-z0-9]+\*?)/i);
+  for(let i=0; i<tokens.length; i++){
+    let tok = tokens[i];
+    if(!tok.startsWith('\\')){
+      if(/^\\[^*]*$/.test(tokens[i-1] ?? '')) tok = tok.replace(/^\s/, ''); // the space after a marker is not text
+      if(note){
+        let t = tok;
+        if(note.caller){ t = t.replace(/^\s*\S+/, ''); note.caller = false; } // "\f + ..."
+        if(!note.anchor) note.s += t;
+        continue;
+      }
+      if(skipNote) continue;
+      if(mode === 'text'){
+        if(pendingLine && tok.trim()){
+          b.line(pendingLine.level);
+          st.cur.poetry ||= pendingLine.level;
+          pendingLine = null;
+        }
+        const bar = tok.indexOf('|'); // \w word|strong="H1234"\w*
+        if(bar < 0){ b.text(tok); continue; }
+        const ids = (tok.slice(bar).match(/strong="([^"]*)"/)?.[1] || '').split(/[,\s]+/).map(strongId).filter(Boolean);
+        st.strong = ids;
+        b.text(tok.slice(0, bar));
+        st.strong = null;
+      }
+      else if(mode === 'heading') st.heading += tok;
+      continue;
+    }
+    const tag = tok.slice(1).replace(/^\+/, '');
+    if(note){
+      if(tag === note.close){ if(mode === 'text') b.note(note.kind, note.s); note = null; }
+      else if(!tag.endsWith('*')){ note.anchor = USFM_NOTE_ANCHOR.test(tag); note.caller = false; }
+      continue;
+    }
+    if(skipNote){ if(tag === skipNote) skipNote = null; continue; }
+    if(tag.endsWith('*')){ // closing character marker
+      const style = USFM_STYLES[tag.slice(0, -1)];
+      if(style) st[style] = Math.max(0, st[style] - 1);
+      continue;
+    }
+    if(USFM_NOTES.has(tag)){
+      note = { kind: tag.endsWith('x') ? 'x' : 'f', close: tag + '*', s:'', anchor:false, caller:true };
+      continue;
+    }
+    if(USFM_STYLES[tag]){ st[USFM_STYLES[tag]]++; continue; }
+
+    // Markers taking an argument at the start of the following text
+    const next = tokens[i+1] ?? '';
+    if(tag === 'id'){
+      const code = next.trim().slice(0, 3).toUpperCase();
+      const idx = USFM_BOOKS.indexOf(code);
+      st.book = book || (idx >= 0 ? CANON_66[idx] : USFM_DC[code] || code);
+      title ??= next.trim().slice(3).trim() || null; // "\id GEN World English Bible"
+      st.chapter = 0; b.end(); mode = 'skip'; pendingLine = null;
+      tokens[i+1] = '';
+      continue;
+    }
+    if(tag === 'c'){
+      const m = next.match(/^\s*(\d+)\s*/);
+      b.end(); pendingLine = null;
+      if(m){ st.chapter = Number(m[1]); tokens[i+1] = next.slice(m[0].length); }
+      st.para = true; st.add = st.woc = 0; mode = 'skip';
+      continue;
+    }
+    if(tag === 'v'){
+      const m = next.match(/^\s*(\d+)[a-z]?(?:[-,]\d+[a-z]?)*\s*/i); // bridges ("1-2") keep their first number
+      if(!m) continue;
+      // A poetry marker right before the verse opened it: a stanza, a paragraph after prose
+      if(pendingLine?.para) st.para = true;
+      pendingLine = null;
+      b.start(Number(m[1]));
+      tokens[i+1] = next.slice(m[0].length);
+      mode = 'text';
+      continue;
+    }
+    if(USFM_HEADING.test(tag)){ st.heading += '\n'; mode = 'heading'; continue; }
+    if(USFM_TEXT.test(tag)){
+      const poetry = tag.match(USFM_POETRY);
+      const level = poetry ? Number(poetry[2] || 1) : 0;
+      st.add = st.woc = 0; // paragraph markers close character markers
+      if(b.hasText()){
+        // Mid-verse: a new poetry line stays in the verse once more of its text follows (not when
+        // the marker only opens the next verse); a new paragraph shows at the next verse
+        if(level) pendingLine = { level, para: !st.poetry };
+        else if(tag !== 'nb') st.para = true;
+      }else{
+        if(tag !== 'nb' && !(level && st.poetry)) st.para = true;
+        if(st.cur){ st.cur.paragraphStart ||= st.para; st.cur.poetry ||= level; st.para = false; }
+      }
+      st.poetry = level;
+      mode = 'text';
+      continue;
+    }
+    if(USFM_INLINE_SKIP.test(tag)){ skipNote = tag + '*'; continue; }
+    if(USFM_SKIP.test(tag)){ mode = 'skip'; continue; }
+    // Anything else is a character marker (\nd, \w, \qs, ...) around verse text
+  }
+  return { rows: b.finish(), title };
+}
+
+// --- XML formats (page only: needs DOMParser)
+function parseXML(text){
+  const doc = new DOMParser().parseFromString(String(text).replace(/^\uFEFF/, ''), 'application/xml');
+  const err = doc.getElementsByTagName('parsererror')[0];
+  if(err) throw new Error(`XML could not be parsed: ${err.textContent.trim().split('\n')[0]}`);
+  return doc;
+}
+function lastNumber(id){
+  const m = String(id || '').split(/\s+/)[0].match(/(\d+)$/);
+  return m ? Number(m[1]) : 0;
+}
+function textOf(el, skip){
+  let s = '';
+  for(const n of el.childNodes){
+    if(n.nodeType === 3) s += n.nodeValue;
+    else if(n.nodeType === 1 && !skip.has(n.localName)) s += textOf(n, skip);
+  }
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+// --- OSIS
+
+const OSIS_SKIP = new Set(['header', 'rdg', 'index', 'figure', 'milestone', 'reference']);
+const OSIS_NOTE_SKIP = new Set(['note']);
+
+// Note body without its anchor ("1:1") reference
+function noteText(el){
+  let s = '';
+  for(const n of el.childNodes){
+    if(n.nodeType === 3) s += n.nodeValue;
+    else if(n.nodeType === 1 && n.getAttribute('type') !== 'annotateRef') s += noteText(n);
+  }
+  return s;
+}
+
+export function parseOSIS(text){
+  const doc = parseXML(text);
+  const b = rowBuilder();
+  const { st } = b;
+  const title = doc.getElementsByTagName('title')[0]?.textContent.trim() || null;
+  const wocOpen = new Set(); // sIDs of milestone <q who="Jesus"/>
+
+  function walk(node){
+    for(const n of node.childNodes){
+      if(n.nodeType === 3){ b.text(n.nodeValue); continue; }
+      if(n.nodeType !== 1) continue;
+      const name = n.localName, a = (k)=> n.getAttribute(k);
+      if(name === 'header') continue;
+      if(name === 'reference' && st.cur){ walk(n); continue; }
+      if(OSIS_SKIP.has(name)) continue;
+      if(name === 'note'){
+        b.note(a('type') === 'crossReference' ? 'x' : 'f', noteText(n));
+        continue;
+      }
+      if(name === 'transChange'){
+        const added = !a('type') || a('type') === 'added';
+        if(added) st.add++;
+        walk(n);
+        if(added) st.add--;
+        continue;
+      }
+      if(name === 'q'){
+        if(a('eID')){ if(wocOpen.delete(a('eID'))) st.woc--; continue; }
+        const woc = a('who') === 'Jesus';
+        if(a('sID')){ if(woc){ wocOpen.add(a('sID')); st.woc++; } continue; }
+        if(woc) st.woc++;
+        walk(n);
+        if(woc) st.woc--;
+        continue;
+      }
+      if(name === 'div' && a('type') === 'book'){
+        st.book = bookFromOsis(a('osisID')) || a('osisID');
+        st.chapter = 0; b.end();
+        walk(n); b.end();
+        continue;
+      }
+      if(name === 'chapter'){
+        if(a('eID')){ b.end(); continue; }
+        st.chapter = lastNumber(a('osisID') || a('sID'));
+        st.para = true;
+        walk(n);
+        continue;
+      }
+      if(name === 'verse'){
+        if(a('eID')){ b.end(); continue; }
+        const id = a('osisID') || a('sID');
+        if(!id) continue;
+        const parts = id.split(/\s+/)[0].split('.');
+        if(parts.length >= 3){ st.chapter = Number(parts[parts.length-2]) || st.chapter; }
+        b.start(lastNumber(id));
+        if(n.childNodes.length){ walk(n); b.end(); }
+        continue;
+      }
+      if(name === 'title'){
+        const type = a('type');
+        if(!type || type === 'section' || type === 'sub' || type === 'psalm' || type === 'acrostic'){
+          const t = textOf(n, OSIS_NOTE_SKIP);
+          if(t) st.heading += `\n${t}`;
+        }
+        continue;
+      }
+      if(name === 'p'){
+        if(!b.hasText()) st.para = true;
+        walk(n);
+        st.para = true;
+        continue;
+      }
+      if(name === 'lg'){
+        st.para = true;
+        walk(n);
+        st.poetry = 0; st.para = true;
+        continue;
+      }
+      if(name === 'l'){
+        const level = Number(a('level')) || 1;
+        if(b.hasText()){ b.line(level); st.cur.poetry ||= level; }
+        st.poetry = level;
+        walk(n);
+        continue;
+      }
+      if(name === 'lb'){ b.text(' '); continue; }
+      if(name === 'w'){
+        const ids = (a('lemma') || '').split(/\s+/).filter(l=> l.startsWith('strong:')).map(strongId).filter(Boolean);
+        const outer = st.strong;
+        if(ids.length) st.strong = ids;
+        walk(n);
+        st.strong = outer;
+        continue;
+      }
+      walk(n); // hi, divineName, seg, foreign, name, ...
+    }
+  }
+  walk(doc.documentElement);
+  return { rows: b.finish(), title };
+}
+
+// --- Zefania
+
+const ZEF_SKIP = new Set(['MEDIA', 'REMARK', 'PROLOG', 'INFORMATION']);
+const ZEF_RED = /color\s*:\s*(red|#f00\b|#ff0000)/i;
+
+// XREF mscope="40;5;3-4 43;1;1" (book number;chapter;verses) -> "Matthew 5:3-4; John 1:1"
+function zefaniaScope(scope){
+  return String(scope || '').trim().split(/\s+/).map(ref=>{
+    const [bn, ch, vs] = ref.split(';');
+    const book = CANON_66[Number(bn)-1];
+    return book && ch ? `${book} ${ch}${vs ? `:${vs}` : ''}` : '';
+  }).filter(Boolean).join('; ');
+}
+
+export function parseZefania(text){
+  const doc = parseXML(text);
+  const b = rowBuilder();
+  const { st } = b;
+  const info = doc.getElementsByTagName('INFORMATION')[0];
+  const title = info?.getElementsByTagName('title')[0]?.textContent.trim()
+    || doc.documentElement.getAttribute('biblename') || null;
+
+  function walk(node){
+    for(const n of node.childNodes){
+      if(n.nodeType === 3){ b.text(n.nodeValue); continue; }
+      if(n.nodeType !== 1) continue;
+      const name = n.localName.toUpperCase(), a = (k)=> n.getAttribute(k);
+      if(ZEF_SKIP.has(name)) continue;
+      if(name === 'NOTE'){ b.note('f', n.textContent); continue; }
+      if(name === 'XREF'){ b.note('x', n.textContent.trim() || zefaniaScope(a('mscope')) || a('fscope') || ''); continue; }
+      if(name === 'STYLE'){
+        const woc = ZEF_RED.test(a('css') || ''), add = a('fs') === 'italic';
+        if(woc) st.woc++;
+        if(add) st.add++;
+        walk(n);
+        if(woc) st.woc--;
+        if(add) st.add--;
+        continue;
+      }
+      if(name === 'BIBLEBOOK'){
+        const idx = Number(a('bnumber'));
+        st.book = (idx >= 1 && idx <= 66 ? CANON_66[idx-1] : null) || a('bname') || a('bsname');
+        b.end(); walk(n); b.end();
+        continue;
+      }
+      if(name === 'CHAPTER'){
+        st.chapter = Number(a('cnumber')); st.para = true;
+        b.end(); walk(n); b.end();
+        continue;
+      }
+      if(name === 'CAPTION'){
+        const t = textOf(n, new Set(['NOTE']));
+        if(t) st.heading += `\n${t}`;
+        continue;
+      }
+      if(name === 'VERS'){
+        b.start(Number(a('vnumber')));
+        walk(n);
+        b.end();
+        continue;
+      }
+      if(name === 'BR'){
+        if(a('art') === 'x-nl' && st.cur) b.line();
+        else st.para = true;
+        continue;
+      }
+      if(name === 'GR'){
+        // str="7225": Hebrew numbers in the Old Testament, Greek in the New
+        const lang = CANON_66.indexOf(st.book) >= CANON_66.indexOf('Matthew') ? 'G' : 'H';
+        const ids = (a('str') || '').split(/[\s,]+/).filter(Boolean).map(x=> strongId(/^\d/.test(x) ? lang + x : x)).filter(Boolean);
+        const outer = st.strong;
+        if(ids.length) st.strong = ids;
+        walk(n);
+        st.strong = outer;
+        continue;
+      }
+      walk(n); // SUP, DIV, ...
+    }
+  }
+  walk(doc.documentElement);
+  return { rows: b.finish(), title };
+}
@@ -0,0 +1,42 @@
+// Reading history: recently visited passages and how far the reader had scrolled in each.
+// One entry per chapter (or per passage list), so revisiting moves it to the top.
+//
+// Entry: { key, label, hash, anchor|null, time }  (anchor: id of the verse element at the top)
+
+import { idbGet, idbPut, idbDelete, idbAll } from './idb.js';
+import { userDB } from './annotations.js';
+
+const STORE = 'history';
+const MAX_ENTRIES = 50;
+
+export class ReadingHistory{
+  // Record a visit; the saved position is kept when the same place is opened again
+  async visit({ key, label, hash }){
+    const db = await userDB();
+    const prev = await idbGet(db, STORE, key);
+    await idbPut(db, STORE, { key, label, hash, anchor: prev?.anchor ?? null, time: Date.now() });
+    const all = await idbAll(db, STORE);
+    if(all.length > MAX_ENTRIES){
+      all.sort((a,b)=> b.time - a.time);
+      for(const old of all.slice(MAX_ENTRIES)) await idbDelete(db, STORE, old.key);
+    }
+  }
+
+  // Verse element (id) at the top of the viewport
+  async setPosition(key, anchor){
+    const db = await userDB();
+    const entry = await idbGet(db, STORE, key);
+    if(!entry || entry.anchor === anchor) return;
+    entry.anchor = anchor; entry.time = Date.now();
+    await idbPut(db, STORE, entry);
+  }
+
+  // Most recent first
+  async recent(limit=10){
+    const all = await idbAll(await userDB(), STORE);
+    return all.sort((a,b)=> b.time - a.time).slice(0, limit);
+  }
+  async latest(){
+    return (await this.recent(1))[0] || null;
+  }
+}
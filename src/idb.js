@@ -0,0 +1,34 @@
+// Tiny promise wrappers around IndexedDB.
+// Usable from the page and from module workers (no DOM access).
+
+export function openDB(name, version, upgrade){
+  return new Promise((resolve, reject)=>{
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = (e)=> upgrade?.(req.result, e.oldVersion, req.transaction);
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+}
+
+function done(req){
+  return new Promise((resolve, reject)=>{
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+}
+function store(db, name, mode='readonly'){
+  return db.transaction(name, mode).objectStore(name);
+}
+
+export function idbGet(db, name, key){ return done(store(db, name).get(key)); }
+export function idbPut(db, name, value, key){
+  const s = store(db, name, 'readwrite');
+  return done(key === undefined ? s.put(value) : s.put(value, key));
+}
+export function idbDelete(db, name, key){ return done(store(db, name, 'readwrite').delete(key)); }
+export function idbKeys(db, name){ return done(store(db, name).getAllKeys()); }
+export function idbAll(db, name, indexName, query){
+  const s = store(db, name);
+  return done(indexName ? s.index(indexName).getAll(query) : s.getAll(query));
+}
+export function idbClear(db, name){ return done(store(db, name, 'readwrite').clear()); }
@@ -0,0 +1,72 @@
+// Lexicon sheet: tapping a Strong's-tagged word (while lookup is on, `.strong-lookup` on an
+// ancestor) shows its dictionary entries and offers a search for every occurrence.
+
+import { LexiconError } from './lexicon.js';
+import { h } from './ui.js';
+
+const WORD = '.strong-lookup .w[data-strong]';
+
+// ctx: { reader, lexicon, onFind(id), onCount?(id) }
+export function setupLexicon({ reader, lexicon, onFind, onCount }){
+  const body = h('div', { className:'lex-body' });
+  const sheet = h('aside', { className:'lexicon-sheet', hidden:true, role:'dialog', 'aria-label':'Lexicon' },
+    h('button', { type:'button', className:'ghost lex-close', title:'Close (Esc)', onclick:()=> close() }, '✕'),
+    body);
+  document.body.appendChild(sheet);
+  let word = null, gen = 0;
+
+  function close(){
+    sheet.hidden = true;
+    word?.classList.remove('looked-up');
+    word = null; gen++;
+  }
+
+  async function open(el){
+    word?.classList.remove('looked-up');
+    word = el;
+    el.classList.add('looked-up');
+    const ids = el.dataset.strong.split(' ').filter(Boolean);
+    const mine = ++gen;
+    body.replaceChildren(h('p', { className:'muted small' }, `Looking up ${ids.join(', ')}…`));
+    sheet.hidden = false;
+    const parts = await Promise.all(ids.map(id=> entryView(id, el.textContent.trim())));
+    if(mine === gen) body.replaceChildren(...parts);
+  }
+
+  async function entryView(id, surface){
+    let entry = null, problem = null;
+    try{ entry = await lexicon.lookup(id); }
+    catch(e){
+      if(!(e instanceof LexiconError)) console.error('[lexicon]', e);
+      problem = e instanceof LexiconError ? e.message : 'The lexicon could not be read';
+    }
+    const find = h('button', { type:'button', className:'ghost small', onclick:()=>{ close(); onFind(id); } },
+      `Find all occurrences of ${id}`);
+    const count = onCount && h('button', { type:'button', className:'ghost small', onclick:()=>{ close(); onCount(id); } },
+      'Concordance');
+    if(!entry){
+      return h('section', { className:'lex-entry' },
+        h('h2', null, id, h('span', { className:'muted' }, ` · “${surface}”`)),
+        h('p', { className:'muted small' }, problem || `No lexicon entry for ${id}.`),
+        find, count);
+    }
+    return h('section', { className:'lex-entry' },
+      h('h2', null, id, ' ',
+        entry.lemma && h('span', { className:'lex-lemma', lang: id[0] === 'H' ? 'he' : 'grc', dir:'auto' }, entry.lemma)),
+      (entry.translit || entry.pron) && h('p', { className:'lex-translit' },
+        entry.translit && h('i', null, entry.translit),
+        entry.pron && h('span', { className:'muted' }, ` (${entry.pron})`)),
+      entry.definition && h('p', null, entry.definition),
+      entry.usage && h('p', { className:'small' }, h('span', { className:'muted' }, 'KJV: '), entry.usage),
+      entry.derivation && h('p', { className:'small muted' }, entry.derivation),
+      find, count);
+  }
+
+  reader.addEventListener('click', (e)=>{
+    const el = e.target.closest(WORD);
+    if(!el || !getSelection().isCollapsed) return;
+    if(el === word) close(); else open(el);
+  });
+  document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape' && !sheet.hidden) close(); });
+  window.addEventListener('hashchange', close);
+}
@@ -0,0 +1,78 @@
+// Strong's numbers and the lexicon they point into
+// Tagged texts carry word runs like { s:'beginning', strong:['H7225'] } (rich.js). The
+// dictionaries are local JSON files, one per language, loaded on first lookup. Accepted shapes:
+//   { "H7225": { "lemma": "רֵאשִׁית", "xlit": "rêʼshîyth", "pron": "ray-sheeth'",
+//                "strongs_def": "the first...", "kjv_def": "beginning, chief(-est)...", "derivation": "..." } }
+//   [ { "number": "G3056", "lemma": "λόγος", "transliteration": "lógos", "definition": "..." } ]
+// No DOM here: the search worker uses strongId() too.
+
+export const LEXICON_FILES = { H:'data/strongs-hebrew.json', G:'data/strongs-greek.json' };
+
+export class LexiconError extends Error{
+  constructor(message){ super(message); this.name = 'LexiconError'; }
+}
+
+// "H07225", "h7225", "strong:H7225" -> "H7225" (null when it is not a Strong's number)
+export function strongId(raw){
+  const m = String(raw ?? '').trim().match(/^(?:strong:)?([HG])0*(\d+)[a-z]?$/i);
+  return m ? `${m[1].toUpperCase()}${m[2]}` : null;
+}
+
+// Dictionary JSON (either shape above) -> Map<id, { id, lemma, translit, pron, definition, usage, derivation }>
+export function normalizeLexicon(json){
+  const map = new Map();
+  const str = (...vals)=> String(vals.find(v=> v != null && v !== '') ?? '').trim();
+  const add = (key, e)=>{
+    if(!e || typeof e !== 'object') return;
+    const id = strongId(e.strongs ?? e.number ?? e.id ?? key);
+    if(!id) return;
+    map.set(id, {
+      id,
+      lemma: str(e.lemma, e.word, e.unicode),
+      translit: str(e.xlit, e.translit, e.transliteration),
+      pron: str(e.pron, e.pronunciation),
+      definition: str(e.strongs_def, e.definition, e.def, e.meaning),
+      usage: str(e.kjv_def, e.usage, e.kjv),
+      derivation: str(e.derivation),
+    });
+  };
+  if(Array.isArray(json)) for(const e of json) add(null, e);
+  else if(json && typeof json === 'object') for(const [k, e] of Object.entries(json)) add(k, e);
+  return map;
+}
+
+export class Lexicon{
+  constructor({ files=LEXICON_FILES }={}){
+    this.files = files;
+    this._dicts = new Map(); // 'H' | 'G' -> Promise<Map>
+  }
+
+  // -> entry | null (no such number); throws LexiconError when the dictionary is missing
+  async lookup(raw){
+    const id = strongId(raw);
+    if(!id) return null;
+    const dict = await this._load(id[0]);
+    return dict.get(id) || null;
+  }
+
+  _load(lang){
+    if(!this._dicts.has(lang)){
+      const p = this._fetch(lang);
+      p.catch(()=> this._dicts.delete(lang)); // try again on the next lookup
+      this._dicts.set(lang, p);
+    }
+    return this._dicts.get(lang);
+  }
+
+  async _fetch(lang){
+    const url = this.files[lang];
+    const name = lang === 'H' ? 'Hebrew' : 'Greek';
+    if(!url) throw new LexiconError(`No ${name} dictionary is configured`);
+    let res;
+    try{ res = await fetch(url, { cache:'force-cache' }); }
+    catch{ throw new LexiconError(`The ${name} dictionary could not be loaded (${url})`); }
+    if(!res.ok) throw new LexiconError(`The ${name} dictionary is not available (${url})`);
+    try{ return normalizeLexicon(await res.json()); }
+    catch{ throw new LexiconError(`The ${name} dictionary is not valid JSON (${url})`); }
+  }
+}
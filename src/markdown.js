@@ -0,0 +1,30 @@
+// Minimal, safe Markdown for user notes: paragraphs, line breaks, "- " lists,
+// **bold**, *italic*, `code` and [links](https://...). Everything else is escaped text.
+
+function esc(s){ return s.replace(/[&<>"]/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;' }[c])); }
+
+function inline(s){
+  return esc(s)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\(((?:https?:\/\/|#)[^\s)]+)\)/g, (m, text, href)=>
+      `<a href="${href}"${href.startsWith('#') ? '' : ' target="_blank" rel="noopener"'}>${text}</a>`);
+}
+
+export function renderMarkdown(src){
+  const blocks = String(src ?? '').replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
+  return blocks.filter(Boolean).map(b=>{
+    const lines = b.split('\n');
+    if(lines.every(l=> /^\s*[-*]\s+/.test(l))){
+      return `<ul>${lines.map(l=> `<li>${inline(l.replace(/^\s*[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+    }
+    return `<p>${lines.map(inline).join('<br>')}</p>`;
+  }).join('');
+}
+
+// Plain-text preview (list rows, tooltips)
+export function markdownPreview(src, max=120){
+  const t = String(src ?? '').replace(/[*_`#>\[\]]|\(https?:[^)]+\)/g, '').replace(/\s+/g, ' ').trim();
+  return t.length > max ? t.slice(0, max - 1) + '…' : t;
+}
@@ -0,0 +1,141 @@
+// Offline drawer panel: which translations and books are stored for offline reading, downloads
+// with a progress bar, and storage usage / persistence (offline.js).
+
+import { offlineSupported, offlineStatus, cachedVersions, downloadOffline, removeOffline,
+  storageInfo, requestPersistence, formatBytes, OfflineError } from './offline.js';
+import { h, drawerPanel } from './ui.js';
+
+// ctx: { drawer, versions (VERSIONS), loadVersion(id) -> Promise<Data>, current() -> id, onChange() }
+export function setupOffline(ctx){
+  const body = drawerPanel(ctx.drawer, 'Offline', { id:'offlinePanel' });
+  const overview = h('ul', { className:'offline-list' });
+  const picker = h('select', { 'aria-label':'Translation to manage' });
+  const summary = h('p', { className:'small' });
+  const books = h('div', { className:'offline-books' });
+  const chooser = h('details', { className:'offline-chooser' }, h('summary', { className:'small' }, 'Choose books'), books);
+  const getAll = h('button', { type:'button', className:'ghost small', onclick:()=> download(null) }, 'Download all');
+  const getPicked = h('button', { type:'button', className:'ghost small', onclick:()=> download(picked()) }, 'Download selected');
+  const remove = h('button', { type:'button', className:'ghost small', onclick: removeAll }, 'Remove');
+  const progress = h('progress', { className:'offline-progress', max:1, value:0, hidden:true });
+  const cancel = h('button', { type:'button', className:'ghost small', hidden:true, onclick:()=> job?.abort() }, 'Cancel');
+  const status = h('div', { className:'small', role:'status' });
+  const storage = h('p', { className:'small muted' });
+  const persist = h('button', { type:'button', className:'ghost small', hidden:true, onclick: keep }, 'Keep offline data');
+  body.append(overview,
+    h('div', { className:'row' }, picker),
+    summary, chooser,
+    h('div', { className:'row' }, getAll, getPicked, remove),
+    h('div', { className:'row' }, progress, cancel),
+    status,
+    h('div', { className:'row' }, storage, persist));
+
+  let data = null;  // Data of the translation in the picker
+  let job = null;   // AbortController of the running download
+  const panel = body.closest('details');
+  panel.addEventListener('toggle', ()=>{ if(panel.open) refresh(); });
+  picker.addEventListener('change', ()=> show(picker.value));
+
+  const downloadable = ()=> ctx.versions.filter(v=> !v.local);
+
+  async function refresh(){
+    if(!offlineSupported()){
+      summary.textContent = 'Offline storage is not available in this browser (it needs HTTPS).';
+      for(const b of [getAll, getPicked, remove]) b.disabled = true;
+      return;
+    }
+    const list = downloadable();
+    const cached = await cachedVersions(list);
+    overview.replaceChildren(...list.map(v=>{
+      const c = cached.get(v.id);
+      const text = c.whole ? 'whole Bible' : c.books ? `${c.books} book${c.books === 1 ? '' : 's'}` : 'not downloaded';
+      return h('li', { className: c.whole || c.books ? 'offline-yes' : 'muted' }, `${v.id}: ${text}`);
+    }));
+    const keepPick = list.some(v=> v.id === picker.value) ? picker.value : ctx.current();
+    picker.replaceChildren(...list.map(v=> h('option', { value:v.id }, `${v.id} — ${v.name}`)));
+    picker.value = list.some(v=> v.id === keepPick) ? keepPick : list[0]?.id;
+    await show(picker.value);
+    await showStorage();
+  }
+
+  async function show(id){
+    if(!id) return;
+    summary.textContent = 'Checking…';
+    try{ data = await ctx.loadVersion(id); }
+    catch(e){ data = null; summary.textContent = `${id} could not be loaded.`; console.error('[offline]', e); return; }
+    if(picker.value !== id) return;
+    const st = await offlineStatus(data);
+    chooser.hidden = data.mode !== 'books';
+    getPicked.hidden = data.mode !== 'books';
+    for(const b of [getAll, getPicked, remove]) b.disabled = Boolean(job) || st.inMemory;
+    remove.disabled ||= !st.cachedBooks;
+    getAll.disabled ||= st.ready;
+    if(st.inMemory) summary.textContent = `${id} is built into the page and always available offline.`;
+    else if(st.ready) summary.textContent = `${id} is available offline (${st.books} books).`;
+    else if(st.cachedBooks) summary.textContent = `${st.cachedBooks} of ${st.books} books of ${id} are available offline.`;
+    else summary.textContent = `${id} is not available offline yet.`;
+    if(data.mode === 'books'){
+      const was = new Set(picked());
+      books.replaceChildren(...st.files.filter(f=> f.book).map(f=> h('label', { className: f.cached ? 'offline-yes' : null },
+        h('input', { type:'checkbox', value:f.book, checked: was.has(f.book) }), ` ${f.book}${f.cached ? ' ✓' : ''}`)));
+    }
+  }
+
+  function picked(){
+    return Array.from(books.querySelectorAll('input:checked'), (i)=> i.value);
+  }
+
+  async function download(which){
+    if(!data || job) return;
+    if(which && !which.length){ status.textContent = 'Tick the books to download first.'; return; }
+    const id = picker.value;
+    job = new AbortController();
+    progress.hidden = cancel.hidden = false;
+    progress.value = 0;
+    for(const b of [getAll, getPicked, remove]) b.disabled = true;
+    try{
+      const res = await downloadOffline(data, { books:which, signal:job.signal, onProgress:({ done, total, book })=>{
+        progress.value = total ? done / total : 1;
+        status.textContent = `Downloading ${id}${book ? ` (${book})` : ''}… ${done} of ${total}`;
+      } });
+      status.textContent = job.signal.aborted ? `Stopped after ${res.done} of ${res.total} files.`
+        : res.failed.length ? `Could not download: ${res.failed.join(', ')}`
+        : `Downloaded ${res.done} file${res.done === 1 ? '' : 's'}.`;
+    }catch(e){
+      if(!(e instanceof OfflineError)) console.error('[offline]', e);
+      status.textContent = e instanceof OfflineError ? e.message : 'The download failed.';
+    }finally{
+      job = null;
+      progress.hidden = cancel.hidden = true;
+      await refresh();
+      ctx.onChange?.();
+    }
+  }
+
+  async function removeAll(){
+    if(!data || job) return;
+    const which = data.mode === 'books' && picked().length ? picked() : null;
+    const what = which ? `${which.length} book${which.length === 1 ? '' : 's'} of ${picker.value}` : `all of ${picker.value}`;
+    if(!confirm(`Remove the offline copy of ${what}?`)) return;
+    await removeOffline(data, which);
+    status.textContent = `Removed the offline copy of ${what}.`;
+    await refresh();
+    ctx.onChange?.();
+  }
+
+  async function showStorage(){
+    const info = await storageInfo().catch(()=> null);
+    if(!info){ storage.textContent = ''; persist.hidden = true; return; }
+    storage.textContent = `Storage: ${formatBytes(info.usage)} used of ${formatBytes(info.quota)}`
+      + (info.persisted ? ' · kept persistently' : '');
+    persist.hidden = info.persisted || !navigator.storage?.persist;
+  }
+
+  async function keep(){
+    const granted = await requestPersistence().catch(()=> false);
+    status.textContent = granted ? 'Offline data will be kept even when storage runs low.'
+      : 'The browser declined; it may clear offline data when storage runs low.';
+    await showStorage();
+  }
+
+  return { refresh };
+}
@@ -0,0 +1,109 @@
+// Offline copies of translation data: which files are in the service worker's data cache,
+// downloading and removing them, and the browser's storage quota.
+// The cache is written from the page too, so downloads work before the worker controls it.
+
+export const DATA_CACHE = 'sb-data-v2'; // same name as in sw.js
+
+export class OfflineError extends Error{
+  constructor(message){ super(message); this.name = 'OfflineError'; }
+}
+
+export function offlineSupported(){
+  return typeof caches !== 'undefined';
+}
+
+const abs = (url)=> new URL(url, location.href).href;
+
+async function cachedUrls(){
+  const cache = await caches.open(DATA_CACHE);
+  return new Set((await cache.keys()).map(r=> r.url));
+}
+
+// data: a loaded Data -> { files:[{ book, url, cached }], books, cachedBooks, ready, inMemory }
+// `ready` means every file the text needs is cached (always true for text held in memory)
+export async function offlineStatus(data){
+  const files = data.dataFiles();
+  if(!files.length) return { files, books:data.books.length, cachedBooks:data.books.length, ready:true, inMemory:true };
+  const have = offlineSupported() ? await cachedUrls() : new Set();
+  for(const f of files) f.cached = have.has(abs(f.url));
+  const whole = files.find(f=> f.book == null && data.mode === 'file');
+  const cachedBooks = whole ? (whole.cached ? data.books.length : 0) : files.filter(f=> f.book && f.cached).length;
+  // A missing canon file is fine: the built-in canon applies
+  const ready = files.every(f=> f.cached || (f.book == null && data.mode === 'books'));
+  return { files, books:data.books.length, cachedBooks, ready, inMemory:false };
+}
+
+// Summary for translations that are not loaded: a single file or per-book files found in the cache
+// configs: VERSIONS entries -> Map<id, { whole, books }>
+export async function cachedVersions(configs){
+  const have = offlineSupported() ? await cachedUrls() : new Set();
+  const out = new Map();
+  for(const cfg of configs){
+    const whole = Boolean(cfg.singleFile && have.has(abs(cfg.singleFile)));
+    const dir = cfg.perBookDir ? abs(cfg.perBookDir) : null;
+    const books = dir ? [...have].filter(u=> u.startsWith(dir)).length : 0;
+    out.set(cfg.id, { whole, books });
+  }
+  return out;
+}
+
+// Fetch the files of `books` (all when null) into the cache, skipping those already there.
+// onProgress({ done, total, book }); stops early when `signal` aborts -> { done, total, failed:[book|url] }
+export async function downloadOffline(data, { books=null, onProgress, signal }={}){
+  if(!offlineSupported()) throw new OfflineError('Offline storage is not available in this browser (it needs HTTPS)');
+  const want = books ? new Set(books) : null;
+  const { files } = await offlineStatus(data);
+  const todo = files.filter(f=> !f.cached && (f.book == null || !want || want.has(f.book)));
+  const cache = await caches.open(DATA_CACHE);
+  const failed = [];
+  let done = 0;
+  onProgress?.({ done, total:todo.length, book:null });
+  for(const f of todo){
+    if(signal?.aborted) break;
+    try{
+      const res = await fetch(f.url, { cache:'no-store', signal });
+      if(res.ok) await cache.put(abs(f.url), res);
+      else if(f.book || data.mode === 'file') failed.push(f.book || f.url);
+    }catch(e){
+      if(e.name === 'AbortError') break;
+      if(e.name === 'QuotaExceededError') throw new OfflineError('Not enough storage space for the download');
+      failed.push(f.book || f.url);
+    }
+    done++;
+    onProgress?.({ done, total:todo.length, book:f.book });
+  }
+  return { done, total:todo.length, failed };
+}
+
+// Drop the cached files of `books` (every file of the translation when null)
+export async function removeOffline(data, books=null){
+  if(!offlineSupported()) return;
+  const want = books ? new Set(books) : null;
+  const cache = await caches.open(DATA_CACHE);
+  for(const f of data.dataFiles()){
+    // The canon file is shared between translations, so it stays
+    const drop = f.book ? !want || want.has(f.book) : data.mode === 'file' && !want;
+    if(drop) await cache.delete(abs(f.url));
+  }
+}
+
+// -> { usage, quota, persisted } in bytes, or null when the browser does not say
+export async function storageInfo(){
+  if(!navigator.storage?.estimate) return null;
+  const { usage=0, quota=0 } = await navigator.storage.estimate();
+  const persisted = await navigator.storage.persisted?.() ?? false;
+  return { usage, quota, persisted };
+}
+
+// Ask the browser not to evict offline data under storage pressure -> granted?
+export async function requestPersistence(){
+  return Boolean(await navigator.storage?.persist?.());
+}
+
+export function formatBytes(n){
+  if(n < 1024) return `${n} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let i = -1;
+  do{ n /= 1024; i++; }while(n >= 1024 && i < units.length - 1);
+  return `${n.toFixed(n < 10 ? 1 : 0)} ${units[i]}`;
+}
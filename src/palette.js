@@ -0,0 +1,175 @@
+// Command palette (Ctrl+K): go to references, reopen recent passages, run commands and find verses.
+// Items come in groups: what the app reads from the input (references), recent passages,
+// registered commands and books (fuzzy-ranked), then full-text hits that arrive from the worker.
+// Other modules add commands with register(); the focus stays in the input and the arrow keys
+// move the active item.
+
+import { h } from './ui.js';
+
+const LIMITS = { recent:5, commands:8, books:12, verses:8 };
+const SEARCH_DELAY_MS = 200;
+
+// Subsequence match of `query` in `text`, case- and accent-insensitive -> score (higher is better) or null.
+// Matches at word starts and runs of consecutive letters count most: "1co" -> "1 Corinthians", "vn" -> "Verse numbers"
+export function fuzzyScore(query, text){
+  const q = fold(query).replace(/\s+/g, '');
+  const t = fold(text);
+  if(!q) return 0;
+  let best = null;
+  for(let start = t.indexOf(q[0]); start !== -1; start = t.indexOf(q[0], start + 1)){
+    let score = 0, i = start, prev = -2, run = 0;
+    for(let k = 0; k < q.length; k++, i++){
+      while(i < t.length && t[i] !== q[k]) i++;
+      if(i === t.length){ score = null; break; }
+      run = prev === i - 1 ? run + 1 : 0;
+      score += 1 + run * 2 + (i === 0 || /[\s\-:·—(]/.test(t[i-1]) ? 4 : 0);
+      prev = i;
+    }
+    if(score == null) break; // later starts cannot match either
+    if(best == null || score > best) best = score;
+  }
+  if(best == null) return null;
+  if(t.startsWith(q)) best += 10;
+  return best - t.length / 100; // shorter labels win ties
+}
+
+function fold(s){
+  return String(s).normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase();
+}
+
+export class CommandPalette{
+  // els: { dialog, input, list }
+  // sources: { goTo(q) -> { items, notes }, recent() -> items, books() -> items,
+  //            search(q, limit) -> Promise<{ items, total } | null>, searchAll(q) }
+  // An item: { label, detailHtml?, href?, run?, keys? }; links may also run() before navigating
+  constructor(els, sources){
+    this.els = els;
+    this.sources = sources;
+    this.commands = [];
+    this.items = [];   // rendered items, in list order
+    this.active = 0;
+    this.query = '';
+    this.searchTimer = 0;
+
+    els.input.addEventListener('input', ()=> this.update(els.input.value));
+    els.input.addEventListener('keydown', (e)=>{
+      if(e.key === 'ArrowDown'){ e.preventDefault(); this.setActive(this.active + 1); }
+      else if(e.key === 'ArrowUp'){ e.preventDefault(); this.setActive(this.active - 1); }
+      else if(e.key === 'Enter'){ e.preventDefault(); this.items[this.active]?.el.click(); }
+      else if(e.key === 'Escape'){ e.preventDefault(); this.close(); }
+    });
+    els.list.addEventListener('click', (e)=>{ if(e.target.closest('a, button')) this.close(); });
+    els.list.addEventListener('mousemove', (e)=>{
+      const i = this.items.findIndex(it=> it.el.contains(e.target));
+      if(i !== -1 && i !== this.active) this.setActive(i, { scroll:false });
+    });
+    els.dialog.addEventListener('click', (e)=>{ if(e.target === els.dialog) this.close(); });
+  }
+
+  // { id, title, run(), group='Commands', keys?, keywords?, when?() -> bool } -> unregister()
+  // `keys` is the shortcut shown next to the title; `keywords` are extra words to match
+  register(cmd){
+    this.commands = this.commands.filter(c=> c.id !== cmd.id).concat([{ group:'Commands', ...cmd }]);
+    return ()=>{ this.commands = this.commands.filter(c=> c.id !== cmd.id); };
+  }
+
+  get isOpen(){ return !this.els.dialog.hidden; }
+
+  open(query=''){
+    this.els.dialog.hidden = false;
+    this.els.input.value = query;
+    this.els.input.focus();
+    this.update(query);
+  }
+  close(){
+    clearTimeout(this.searchTimer);
+    this.els.dialog.hidden = true;
+  }
+
+  update(input){
+    const q = this.query = input.trim();
+    const { items:goTo, notes } = this.sources.goTo(q);
+    const commands = this.commands.filter(c=> !c.when || c.when()).map(c=> ({
+      label:c.title, keys:c.keys, run:c.run, group:c.group, match:[c.title, c.group, c.keywords].filter(Boolean).join(' '),
+    }));
+    const groups = [
+      ['Go to', goTo],
+      ['Recent', rank(q, this.sources.recent(), LIMITS.recent)],
+      ...groupBy(rank(q, commands, q ? LIMITS.commands : Infinity), (c)=> c.group),
+      ['Books', rank(q, this.sources.books(), q ? LIMITS.books : Infinity)],
+    ];
+    this.render(groups, notes);
+    clearTimeout(this.searchTimer);
+    // Words (not only a reference or a command name) also look in the text
+    if(q.replace(/[^\p{L}]/gu, '').length >= 3 && !goTo.length){
+      this.searchTimer = setTimeout(()=> this.searchVerses(q), SEARCH_DELAY_MS);
+    }
+  }
+
+  async searchVerses(q){
+    const res = await this.sources.search(q, LIMITS.verses).catch(()=> null);
+    if(!res?.items.length || q !== this.query || !this.isOpen) return;
+    const items = [...res.items];
+    if(res.total > items.length){
+      items.push({ label:`All ${res.total} results for “${q}”`, run:()=> this.sources.searchAll(q) });
+    }
+    this.els.list.append(...this.group('Verses', items));
+  }
+
+  render(groups, notes=[]){
+    this.items = [];
+    this.els.list.replaceChildren(
+      ...groups.flatMap(([name, items])=> items.length ? this.group(name, items) : []),
+      ...notes.map(n=> h('li', { className:'muted small' }, n)));
+    this.setActive(0);
+  }
+
+  // Heading + items -> <li> elements; the items join this.items for keyboard navigation
+  group(name, items){
+    const out = [h('li', { className:'palette-group muted small', role:'presentation' }, name)];
+    for(const it of items){
+      const detail = it.detailHtml ? h('span', { className:'palette-detail small' }) : null;
+      if(detail) detail.innerHTML = it.detailHtml;
+      const content = [h('span', { className:'palette-label' }, it.label), detail, it.keys ? h('kbd', null, it.keys) : null];
+      const el = it.href ? h('a', { href:it.href }, content) : h('button', { type:'button' }, content);
+      el.tabIndex = -1; // the input keeps the focus
+      el.addEventListener('click', async ()=>{
+        try{ await it.run?.(); }
+        catch(e){ console.error('[palette]', e); }
+      });
+      this.items.push({ ...it, el });
+      out.push(h('li', null, el));
+    }
+    return out;
+  }
+
+  setActive(i, { scroll=true }={}){
+    if(!this.items.length) return;
+    this.active = Math.max(0, Math.min(i, this.items.length - 1));
+    this.els.list.querySelector('li.active')?.classList.remove('active');
+    const li = this.items[this.active].el.closest('li');
+    li.classList.add('active');
+    if(scroll) li.scrollIntoView({ block:'nearest' });
+  }
+}
+
+// Best fuzzy matches first (all, in their own order, for an empty query)
+function rank(q, items, limit){
+  if(!q) return items.slice(0, limit);
+  return items.map(it=> ({ it, score:fuzzyScore(q, it.match ?? it.label) }))
+    .filter(x=> x.score != null)
+    .sort((a,b)=> b.score - a.score)
+    .slice(0, limit)
+    .map(x=> x.it);
+}
+
+// Keeps the order in which groups first appear
+function groupBy(items, keyOf){
+  const groups = new Map();
+  for(const it of items){
+    const k = keyOf(it);
+    if(!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(it);
+  }
+  return [...groups];
+}
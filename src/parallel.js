@@ -0,0 +1,52 @@
+// Parallel (side-by-side) reading
+// Aligns the same chapter from several translations row by row on verse number.
+// A verse missing from one translation gets an empty placeholder cell.
+
+import { renderVerseText } from './rich.js';
+
+// columns: [{ id, verses }] -> [{ verse, cells: [verseObj|null, ...] }]
+export function alignVerses(columns){
+  const nums = new Set();
+  const byNum = columns.map(col=>{
+    const m = new Map();
+    for(const v of col.verses){ m.set(v.verse, v); nums.add(v.verse); }
+    return m;
+  });
+  return Array.from(nums).sort((a,b)=>a-b)
+    .map(n=> ({ verse:n, cells: byNum.map(m=> m.get(n) || null) }));
+}
+
+// Build the grid; `rowId(verse)` gives each row the id deep links scroll to
+export function buildParallel(columns, rowId){
+  const grid = document.createElement('div');
+  grid.className = 'parallel';
+  grid.style.setProperty('--cols', String(columns.length));
+
+  const head = document.createElement('div'); head.className = 'prow phead';
+  for(const col of columns){
+    const cell = document.createElement('div'); cell.className = 'pcell';
+    cell.textContent = col.id;
+    head.appendChild(cell);
+  }
+  grid.appendChild(head);
+
+  const notes = columns.map(()=> ({ count:0 })); // footnote callers per column
+  for(const row of alignVerses(columns)){
+    const r = document.createElement('div'); r.className = 'prow';
+    r.id = rowId(row.verse);
+    row.cells.forEach((v, i)=>{
+      const cell = document.createElement('div');
+      cell.className = v ? 'pcell' : 'pcell empty';
+      cell.dataset.version = columns[i].id; // label shown when rows interleave on narrow screens
+      if(v){
+        const n = document.createElement('sup'); n.className = 'vnum'; n.textContent = String(v.verse);
+        cell.append(n, ' ', renderVerseText(v, notes[i]));
+      }else{
+        cell.setAttribute('aria-label', `Verse ${row.verse} not in ${columns[i].id}`);
+      }
+      r.appendChild(cell);
+    });
+    grid.appendChild(r);
+  }
+  return grid;
+}
@@ -0,0 +1,150 @@
+// Reading-plan UI: drawer panel (today's reading, progress, catch-up, plan picker)
+// and the reader hook that ticks chapters off once their last verse has been seen.
+
+import { BUILT_IN_PLANS, PlanError, planStatus, isDayDone, dayLabel } from './plans.js';
+import { h, drawerPanel, pickFile } from './ui.js';
+
+// ctx: { reader, drawer, plans, linkFor(passages), toStandard({ book, chapter, verse }),
+//        getChapter(book, chapter) -> Promise<verses> numbered as the reader shows them }
+// Plans use English verse numbers (versification.js): toStandard maps the reader's to them
+export function setupPlans(ctx){
+  const panel = setupPanel(ctx);
+  ctx.plans.addEventListener('change', ()=> panel.refresh());
+
+  // A chapter counts as read when the end of it scrolls into view
+  // (its last verse, in English numbers: Hebrew Malachi 3:18 ends chapter 3 and 3:24 chapter 4)
+  let observer = null;
+  let gen = 0; // a newer render replaces a watch still looking up chapters
+  async function watch(){
+    observer?.disconnect();
+    observer = null;
+    const mine = ++gen;
+    const last = new Map(); // "book|chapter" (English numbers) -> [span, book, chapter]
+    for(const span of ctx.reader.querySelectorAll('.verse[data-verse]')){
+      const { book, chapter } = ctx.toStandard({ book:span.dataset.book, chapter:Number(span.dataset.chapter), verse:Number(span.dataset.verse) });
+      last.set(`${book}|${chapter}`, [span, book, chapter]);
+    }
+    const ends = new Map(); // span -> the chapter it ends
+    for(const [span, book, chapter] of last.values()){
+      // A verse range (John 3:16) shows part of a chapter: its last span is not the chapter's end
+      if(await endsChapter(span, chapter)) ends.set(span, [book, chapter]);
+      if(mine !== gen) return;
+    }
+    if(!ends.size) return;
+    observer = new IntersectionObserver(async (entries, obs)=>{
+      // Chapter ends seen together (Hebrew Malachi 3:18 and 3:24 end English 3 and 4) are ticked in turn
+      for(const e of entries){
+        if(!e.isIntersecting) continue;
+        obs.unobserve(e.target); // `observer` may belong to a newer render by now
+        const [book, chapter] = ends.get(e.target);
+        await ctx.plans.markRead(book, chapter).catch(err=> console.error('[plans]', err));
+      }
+    }, { threshold:1 });
+    for(const span of ends.keys()) observer.observe(span);
+  }
+
+  // Whether no verse of the text follows `span` in English chapter `chapter`
+  async function endsChapter(span, chapter){
+    const book = span.dataset.book, shown = Number(span.dataset.chapter), verse = Number(span.dataset.verse);
+    const verses = await ctx.getChapter(book, shown).catch(()=> []);
+    const i = verses.findIndex(v=> v.verse === verse);
+    if(i < 0) return false;
+    const next = verses[i+1];
+    return !next || ctx.toStandard({ book, chapter:shown, verse:next.verse }).chapter !== chapter;
+  }
+
+  return { watch, refresh: panel.refresh };
+}
+
+function setupPanel({ drawer, plans, linkFor }){
+  const body = drawerPanel(drawer, 'Reading plans', { id:'plansPanel' });
+  const list = h('ol', { className:'plan-list' });
+  const picker = h('select', { 'aria-label':'Plan to start' },
+    BUILT_IN_PLANS.map(p=> h('option', { value:p.id, title:p.description }, p.name)));
+  const message = h('div', { className:'small', role:'status' });
+  body.append(
+    list,
+    h('div', { className:'row' }, picker,
+      h('button', { type:'button', className:'ghost', onclick: startBuiltIn }, 'Start')),
+    h('div', { className:'row' },
+      h('button', { type:'button', className:'ghost', onclick: loadCustom }, 'Load plan from JSON…')),
+    message);
+
+  let current = [];
+
+  async function refresh(){
+    try{ current = await plans.all(); }
+    catch(e){ message.textContent = 'Reading plans are unavailable (IndexedDB blocked?)'; console.error('[plans]', e); return; }
+    list.replaceChildren(...current.map(planItem));
+    if(!current.length) list.appendChild(h('li', { className:'muted small' }, 'No active plans. Pick one below to start today.'));
+  }
+
+  function planItem(rec){
+    const s = planStatus(rec);
+    const readings = (days)=> days.flatMap(i=> rec.days[i]);
+    const facts = [
+      s.started ? `Day ${s.current + 1} of ${s.total}` : `Starts ${rec.start}`,
+      `${s.percent}% done`,
+      s.streak ? `🔥 ${s.streak}-day streak` : null,
+    ].filter(Boolean).join(' · ');
+
+    let today;
+    if(s.finished) today = h('p', null, 'Plan complete 🎉');
+    else if(s.due.length){
+      today = h('div', { className:'plan-today' },
+        h('a', { href: linkFor(readings(s.due)) }, `Today: ${dayLabel(readings(s.due.slice(-1)))}`),
+        s.behind ? h('div', { className:'muted small' }, `${s.behind} day${s.behind === 1 ? '' : 's'} behind — the link includes the missed readings`) : null,
+        h('div', { className:'row' },
+          h('button', { type:'button', className:'ghost small', onclick: ()=> markDays(rec, s.due) }, 'Mark done'),
+          s.behind ? h('button', { type:'button', className:'ghost small', title:'Shift the schedule so the first unread day is today',
+            onclick: ()=> plans.reschedule(rec.id) }, 'Catch up: restart from here') : null));
+    }else{
+      today = h('p', { className:'small' }, '✓ Today’s reading is done. Next: ',
+        h('a', { href: linkFor(rec.days[s.next]) }, dayLabel(rec.days[s.next])));
+    }
+
+    const grid = h('div', { className:'plan-grid', role:'list', 'aria-label':'Days' },
+      rec.days.map((day, i)=>{
+        const done = isDayDone(rec, i);
+        const state = done ? 'done' : s.started && i < s.current ? 'missed' : s.started && i === s.current ? 'today' : 'future';
+        return h('a', { href: linkFor(day), className:`plan-day ${state}`, role:'listitem',
+          title:`Day ${i+1}: ${dayLabel(day)}${done ? ' (done)' : state === 'missed' ? ' (missed)' : ''}` });
+      }));
+
+    return h('li', { className:'plan' },
+      h('div', { className:'row' },
+        h('strong', { title: rec.description || null }, rec.name),
+        h('button', { type:'button', className:'ghost small', title:'Stop this plan', 'aria-label':`Stop ${rec.name}`,
+          onclick: ()=>{ if(confirm(`Stop “${rec.name}” and forget its progress?`)) plans.remove(rec.id); } }, '✕')),
+      h('div', { className:'muted small' }, facts),
+      h('progress', { max:s.total, value:s.doneDays }),
+      today,
+      h('details', null, h('summary', { className:'small' }, 'Progress by day'), grid));
+  }
+
+  async function markDays(rec, days){
+    for(const i of days) await plans.setDayDone(rec.id, i, true);
+  }
+
+  async function startBuiltIn(){
+    const def = BUILT_IN_PLANS.find(p=> p.id === picker.value);
+    if(current.some(r=> r.id === def.id) && !confirm(`Restart “${def.name}” from day 1? Progress so far will be lost.`)) return;
+    await plans.start(def, { id:def.id, source:'builtin' });
+    message.textContent = `Started “${def.name}”.`;
+  }
+
+  async function loadCustom(){
+    const file = await pickFile('application/json,.json');
+    if(!file) return;
+    try{
+      const rec = await plans.start(JSON.parse(await file.text()));
+      message.textContent = `Started “${rec.name}” (${rec.days.length} days).`;
+    }catch(e){
+      message.textContent = e instanceof PlanError || e instanceof SyntaxError ? `Could not load the plan: ${e.message}` : 'Could not load the plan';
+      if(!(e instanceof PlanError)) console.error('[plans]', e);
+    }
+  }
+
+  refresh();
+  return { refresh };
+}
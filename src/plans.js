@@ -0,0 +1,241 @@
+// Reading plans: daily assignments, completion, streaks and catch-up
+// A plan is a list of days, each a list of passages (refs.js shape). Progress is tracked per
+// chapter (OSIS chapter keys, so it survives switching translation) and stored in IndexedDB.
+//
+// Custom plans are JSON files, either generated from a book list:
+//   { "name": "Gospels in a month", "books": ["Matthew", "Mark", "Luke", "John"], "days": 30 }
+//   ("books" may also be "OT", "NT" or "all")
+// or listing every day's readings:
+//   { "name": "Psalms sampler", "days": ["Ps 1-2", ["Ps 23", "Ps 8:1-4"], "Ps 100"] }
+
+import { BUILT_IN_CANON, CANON_66 } from './data.js';
+import { parseRefs, resolveBookName, formatRef } from './refs.js';
+import { idbGet, idbPut, idbDelete, idbAll } from './idb.js';
+import { userDB, chapterKey } from './annotations.js';
+
+const STORE = 'plans';
+const COUNTS = new Map(BUILT_IN_CANON);
+const CANON_CTX = { books: CANON_66, chapterCount: (b)=> COUNTS.get(b) || 0 };
+const NT = CANON_66.slice(CANON_66.indexOf('Matthew'));
+const OT = CANON_66.slice(0, CANON_66.indexOf('Matthew'));
+
+export const BUILT_IN_PLANS = [
+  { id:'bible-year', name:'Whole Bible in a year', description:'Genesis to Revelation in 365 days', books:CANON_66, days:365 },
+  { id:'nt-90', name:'New Testament in 90 days', description:'Matthew to Revelation, about three chapters a day', books:NT, days:90 },
+  { id:'ot-year', name:'Old Testament in a year', description:'Genesis to Malachi in 365 days', books:OT, days:365 },
+  { id:'gospels-30', name:'Gospels in 30 days', description:'Matthew, Mark, Luke and John', books:['Matthew','Mark','Luke','John'], days:30 },
+];
+
+export class PlanError extends Error{
+  constructor(message){ super(message); this.name = 'PlanError'; }
+}
+
+// --- Dates (local calendar days as "YYYY-MM-DD")
+export function localDate(d=new Date()){
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+function dayNumber(date){
+  const [y, m, d] = date.split('-').map(Number);
+  return Math.round(Date.UTC(y, m-1, d) / 86400000);
+}
+function addDays(date, n){
+  return new Date((dayNumber(date) + n) * 86400000).toISOString().slice(0, 10);
+}
+
+// --- Building plans
+
+// Even split of whole chapters over `days`; consecutive chapters of a book become one passage
+function splitChapters(books, days){
+  const chapters = books.flatMap(b=> Array.from({ length: COUNTS.get(b) }, (_, i)=> [b, i+1]));
+  if(!chapters.length) throw new PlanError('The plan has no chapters to read');
+  days = Math.max(1, Math.min(Math.floor(days), chapters.length));
+  const out = [];
+  for(let d=0; d<days; d++){
+    const slice = chapters.slice(Math.floor(d * chapters.length / days), Math.floor((d+1) * chapters.length / days));
+    const day = [];
+    for(const [book, chapter] of slice){
+      const last = day[day.length-1];
+      if(last?.book === book && last.endChapter === chapter-1) last.endChapter = chapter;
+      else day.push({ book, chapter, verse:null, endChapter:chapter, endVerse:null });
+    }
+    out.push(day);
+  }
+  return out;
+}
+
+function resolveBooks(list){
+  if(typeof list === 'string'){
+    const k = list.trim().toLowerCase();
+    if(k === 'nt') return NT;
+    if(k === 'ot') return OT;
+    if(k === 'all') return CANON_66;
+    list = list.split(',');
+  }
+  if(!Array.isArray(list)) throw new PlanError('"books" must be a list of book names, "OT", "NT" or "all"');
+  return list.map(name=>{
+    const { book, candidates } = resolveBookName(String(name), CANON_66);
+    if(book) return book;
+    throw new PlanError(candidates.length > 1 ? `"${name}" could be ${candidates.join(' or ')}` : `Unknown book "${name}"`);
+  });
+}
+
+function parseDay(entry, n){
+  const refs = [];
+  for(const text of Array.isArray(entry) ? entry : [entry]){
+    const r = parseRefs(String(text), CANON_CTX);
+    const problem = r.errors[0] || (r.ambiguous[0] && `"${r.ambiguous[0].text}" could be ${r.ambiguous[0].candidates.join(' or ')}`);
+    if(problem) throw new PlanError(`Day ${n}: ${problem}`);
+    refs.push(...r.refs);
+  }
+  if(!refs.length) throw new PlanError(`Day ${n} has no readings`);
+  return refs;
+}
+
+// Plan definition (built-in or parsed JSON) -> { name, description, days:[[passage]] }
+export function buildPlan(def){
+  if(!def || typeof def !== 'object') throw new PlanError('A plan must be a JSON object');
+  const name = String(def.name || '').trim();
+  if(!name) throw new PlanError('The plan needs a "name"');
+  let days;
+  if(def.books != null){
+    if(!(Number(def.days) >= 1)) throw new PlanError('"days" must be a number when the plan lists books');
+    days = splitChapters(resolveBooks(def.books), Number(def.days));
+  }else if(Array.isArray(def.days) && def.days.length){
+    days = def.days.map((d, i)=> parseDay(d, i+1));
+  }else{
+    throw new PlanError('The plan needs "books" and a number of "days", or a list of "days"');
+  }
+  return { name, description: String(def.description || ''), days };
+}
+
+// Chapter keys a day asks for (verse ranges count as their whole chapter)
+export function dayUnits(day){
+  return [...new Set(day.flatMap(p=>{
+    const keys = [];
+    for(let c=p.chapter; c<=p.endChapter; c++) keys.push(chapterKey(p.book, c));
+    return keys;
+  }))];
+}
+
+export function dayLabel(day){
+  return day.map(p=> formatRef(p)).join('; ');
+}
+
+export function isDayDone(rec, i){
+  const done = rec.done[i] || [];
+  return dayUnits(rec.days[i]).every(k=> done.includes(k));
+}
+
+// -> { total, current, started, doneDays, percent, behind, due:[dayIndex], next, streak, finished }
+//    `due` is what "today's reading" shows: overdue days followed by today's
+export function planStatus(rec, today=localDate()){
+  const total = rec.days.length;
+  const offset = dayNumber(today) - dayNumber(rec.start);
+  const started = offset >= 0;
+  const current = Math.min(Math.max(offset, 0), total-1);
+  let doneDays = 0, next = -1;
+  const due = [];
+  for(let i=0; i<total; i++){
+    if(isDayDone(rec, i)){ doneDays++; continue; }
+    if(next < 0) next = i;
+    if(started && i <= current) due.push(i);
+  }
+  const behind = due.filter(i=> i < current).length;
+  return {
+    total, current, started, doneDays, next, behind, due,
+    percent: Math.round(doneDays / total * 100),
+    streak: streak(rec.activity, today),
+    finished: doneDays === total,
+  };
+}
+
+// Consecutive days with reading, ending today (or yesterday, until today's reading is done)
+function streak(activity, today){
+  const days = new Set(activity);
+  let d = days.has(today) ? today : addDays(today, -1);
+  let n = 0;
+  while(days.has(d)){ n++; d = addDays(d, -1); }
+  return n;
+}
+
+// --- Stored plans
+export class Plans extends EventTarget{
+  constructor(){
+    super();
+    this._marking = Promise.resolve(); // markRead() calls, one at a time
+  }
+
+  async all(){
+    const list = await idbAll(await userDB(), STORE);
+    return list.sort((a,b)=> a.created - b.created);
+  }
+
+  // Start (or restart) a plan today
+  async start(def, { id, source='custom' }={}){
+    const plan = buildPlan(def);
+    const rec = {
+      id: id || `custom-${Date.now().toString(36)}`, source, ...plan,
+      start: localDate(), done: {}, activity: [], created: Date.now(),
+    };
+    await idbPut(await userDB(), STORE, rec);
+    this._changed();
+    return rec;
+  }
+  async remove(id){
+    await idbDelete(await userDB(), STORE, id);
+    this._changed();
+  }
+
+  // A chapter was read: tick it off in the earliest unfinished day of each plan that assigns it.
+  // Calls queue up: each reads the plans the previous one wrote, so no tick is lost to a stale copy
+  markRead(book, chapter){
+    const run = this._marking.then(()=> this._markRead(book, chapter));
+    this._marking = run.catch(()=>{});
+    return run;
+  }
+  async _markRead(book, chapter){
+    const key = chapterKey(book, chapter);
+    const db = await userDB();
+    let changed = false;
+    for(const rec of await idbAll(db, STORE)){
+      const i = rec.days.findIndex((day, i)=> dayUnits(day).includes(key) && !(rec.done[i] || []).includes(key));
+      if(i < 0) continue;
+      (rec.done[i] ??= []).push(key);
+      touch(rec);
+      await idbPut(db, STORE, rec);
+      changed = true;
+    }
+    if(changed) this._changed();
+    return changed;
+  }
+
+  // Manually mark a whole day complete or not
+  async setDayDone(id, i, done){
+    const db = await userDB();
+    const rec = await idbGet(db, STORE, id);
+    if(!rec || !rec.days[i]) return;
+    if(done){ rec.done[i] = dayUnits(rec.days[i]); touch(rec); }
+    else delete rec.done[i];
+    await idbPut(db, STORE, rec);
+    this._changed();
+  }
+
+  // Catch up by shifting the schedule so the first unfinished day is today
+  async reschedule(id){
+    const db = await userDB();
+    const rec = await idbGet(db, STORE, id);
+    if(!rec) return;
+    const { next } = planStatus(rec);
+    if(next < 0) return;
+    rec.start = addDays(localDate(), -next);
+    await idbPut(db, STORE, rec);
+    this._changed();
+  }
+
+  _changed(){ this.dispatchEvent(new Event('change')); }
+}
+
+function touch(rec){
+  const today = localDate();
+  if(!rec.activity.includes(today)) rec.activity.push(today);
+}
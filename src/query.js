@@ -0,0 +1,168 @@
+// Search query language
+//   love god          both words (whole-word match)
+//   "in the beginning" exact phrase
+//   faith OR hope     either side; `|` works too, parentheses group
+//   -hate             exclude verses containing the word
+//   believ*           `*` wildcard within a word
+//   in:John  in:NT  in:Genesis-Deuteronomy  in:Romans 8   scope filters
+//   in:1 John  in:2 Kings 5  in:Genesis-2 Kings            numbered books (or quoted: in:"Song of Solomon")
+//   strong:H7225      words tagged with a Strong's number (tagged texts only)
+// parseQuery() returns an AST; evaluation against the index lives in the worker.
+
+import { CANON_66 } from './data.js';
+import { resolveBookName } from './refs.js';
+import { strongId } from './lexicon.js';
+
+const NEW_TESTAMENT = new Set(CANON_66.slice(CANON_66.indexOf('Matthew')));
+
+export class QueryError extends Error{
+  constructor(message){ super(message); this.name = 'QueryError'; }
+}
+
+// Word tokenizer shared by indexing, querying and highlighting
+export const WORD_RE = /[\p{L}\p{N}']+/gu;
+export function words(s){
+  return (String(s).toLowerCase().match(WORD_RE) || [])
+    .map(w=> w.replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+}
+
+function lex(input){
+  const toks = [];
+  const re = /\s*(?:(\()|(\))|(\|)|"([^"]*)("?)|(-?)in:("[^"]*"|(?:[1-4]\s+)?[^\s()"\d-][^\s()"-]*(?:-(?:[1-4]\s+)?[^\s()"\d-][^\s()"-]*)?|[^\s()"]+)(?:\s+(\d+(?:-\d+)?)(?=\s|$|\)))?|(-)?([^\s()"|]+))/gy;
+  let m;
+  while(re.lastIndex < input.length && (m = re.exec(input))){
+    if(m[1]) toks.push({ t:'(' });
+    else if(m[2]) toks.push({ t:')' });
+    else if(m[3]) toks.push({ t:'or' });
+    else if(m[4] !== undefined){
+      if(!m[5]) throw new QueryError('Missing closing quote (")');
+      toks.push({ t:'phrase', value:m[4] });
+    }
+    else if(m[7] !== undefined){
+      if(m[6]) throw new QueryError('Scope filters (in:) cannot be excluded');
+      toks.push({ t:'scope', value:m[7].replace(/^"|"$/g, ''), chapters:m[8] || null });
+    }
+    else if(m[10] === 'OR') toks.push({ t:'or' });
+    else if(m[10] === 'AND') continue;
+    else toks.push({ t:'word', value:m[10], neg:Boolean(m[9]) });
+  }
+  return toks;
+}
+
+function termNode(raw){
+  if(/^strong:/i.test(raw)){
+    const id = strongId(raw);
+    if(!id) throw new QueryError(`"${raw}" is not a Strong's number (e.g. strong:H7225 or strong:G26)`);
+    return { type:'strong', id };
+  }
+  if(raw.includes('*')){
+    const parts = raw.toLowerCase().split('*').map(p=> words(p).join(''));
+    if(!parts.join('')) throw new QueryError(`Wildcard "${raw}" needs at least one letter`);
+    return { type:'term', word:parts.join('*'), wildcard:true };
+  }
+  const w = words(raw);
+  if(!w.length) return null; // punctuation only
+  if(w.length > 1) return { type:'phrase', words:w };
+  return { type:'term', word:w[0], wildcard:false };
+}
+
+export function parseQuery(input){
+  const toks = lex(String(input));
+  const scopes = [];
+  let i = 0;
+
+  function parseOr(){
+    const items = [parseAnd()];
+    while(toks[i]?.t === 'or'){
+      i++;
+      if(!toks[i] || toks[i].t === 'or' || toks[i].t === ')') throw new QueryError('OR needs something to search for on both sides');
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type:'or', items };
+  }
+  function parseAnd(){
+    const items = [], not = [];
+    while(i < toks.length && toks[i].t !== 'or' && toks[i].t !== ')'){
+      const tok = toks[i++];
+      if(tok.t === 'scope'){ scopes.push({ raw:tok.value, chapters:tok.chapters }); continue; }
+      if(tok.t === 'word' && tok.neg){
+        const n = termNode(tok.value);
+        if(n) not.push(n);
+        continue;
+      }
+      const n = parseAtom(tok);
+      if(n) items.push(n);
+    }
+    if(!items.length && not.length) throw new QueryError('Exclusions (-word) need at least one word to search for');
+    if(!items.length && i < toks.length && toks[i].t === 'or') throw new QueryError('OR needs something to search for on both sides');
+    return (items.length === 1 && !not.length) ? items[0] : { type:'and', items, not };
+  }
+  function parseAtom(tok){
+    if(tok.t === '('){
+      const inner = parseOr();
+      if(toks[i]?.t !== ')') throw new QueryError('Missing closing parenthesis');
+      i++;
+      return inner;
+    }
+    if(tok.t === ')') throw new QueryError('Unexpected ")"');
+    if(tok.t === 'phrase'){
+      const w = words(tok.value.replace(/\*/g, ''));
+      if(!w.length) throw new QueryError('Empty phrase ("")');
+      return w.length === 1 ? { type:'term', word:w[0], wildcard:false } : { type:'phrase', words:w };
+    }
+    return termNode(tok.value);
+  }
+
+  const expr = parseOr();
+  if(i < toks.length) throw new QueryError(toks[i].t === ')' ? 'Unexpected ")"' : 'Could not read the query');
+  if(isEmpty(expr)) throw new QueryError(scopes.length ? 'Add a word to search for within the scope' : 'Nothing to search for');
+  return { expr, scopes };
+}
+
+function isEmpty(n){
+  return n.type === 'and' && !n.items.length && !n.not.length;
+}
+
+// Positive terms/phrases (exclusions skipped), used for highlighting
+export function positiveTerms(node, out=[]){
+  if(node.type === 'term' || node.type === 'phrase' || node.type === 'strong') out.push(node);
+  else if(node.type === 'or' || node.type === 'and') for(const n of node.items) positiveTerms(n, out);
+  return out;
+}
+
+// Regex source matching one word of a term, e.g. "believ*" -> "believ[\p{L}\p{N}']*"
+export function termSource(word){
+  return word.split('*').map(escapeRegExp).join("[\\p{L}\\p{N}']*");
+}
+export function escapeRegExp(s){ return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+// --- Scope resolution (needs the dataset's book list)
+
+// -> [{ from:[bookIdx, chapter], to:[bookIdx, chapter] }] (inclusive; chapter 0/Infinity = whole book)
+export function resolveScope(scope, books){
+  const raw = scope.raw.trim();
+  const key = raw.toLowerCase();
+  if(key === 'nt' || key === 'ot'){
+    const want = key === 'nt';
+    return books.flatMap((b, i)=> NEW_TESTAMENT.has(b) === want ? [{ from:[i,0], to:[i,Infinity] }] : []);
+  }
+  const ends = raw.split(/-(?=\D)|(?<=\D)-/).filter(Boolean);
+  if(ends.length > 2) throw new QueryError(`Could not read the scope "in:${raw}"`);
+  const idx = ends.map(e=>{
+    const { book, candidates } = resolveBookName(e, books);
+    if(!book && candidates.length > 1) throw new QueryError(`"${e}" could be ${candidates.join(' or ')}; type more of the name`);
+    if(!book) throw new QueryError(`Unknown book in scope filter: "${e}" (quote names with spaces: in:"Song of Solomon")`);
+    return books.indexOf(book);
+  });
+  if(idx.length === 2){
+    if(scope.chapters) throw new QueryError(`Chapters cannot be combined with a book range in "in:${raw}"`);
+    const [a, b] = idx[0] <= idx[1] ? idx : [idx[1], idx[0]];
+    return [{ from:[a,0], to:[b,Infinity] }];
+  }
+  if(scope.chapters){
+    const [c1, c2=c1] = scope.chapters.split('-').map(Number);
+    return [{ from:[idx[0], Math.min(c1,c2)], to:[idx[0], Math.max(c1,c2)] }];
+  }
+  return [{ from:[idx[0],0], to:[idx[0],Infinity] }];
+}
@@ -0,0 +1,229 @@
+// Read aloud with the browser's speechSynthesis: one utterance per verse, the verse being spoken
+// highlighted (`.speaking`) and kept in view, continuing into the next chapter, with an optional
+// sleep timer. Voice, rate and pitch live in the drawer panel and are saved in prefs.
+// Pausing cancels the utterance and resuming restarts that verse: speechSynthesis.pause()
+// is unreliable across browsers.
+
+import { h, drawerPanel } from './ui.js';
+
+const SLEEP_CHOICES = [[0, 'No sleep timer'], [15, 'Stop in 15 min'], [30, 'Stop in 30 min'], [60, 'Stop in 1 hour'], ['chapter', 'Stop after this chapter']];
+
+// ctx: { reader, drawer, button (header button or null), palette (CommandPalette or null), prefs, getData() -> Data,
+//        verseId(book, chapter, verse), nextChapter(book, chapter, dir) -> { book, chapter } | null,
+//        show(book, chapter) (navigate when the chapter is not on screen), top() -> px below the sticky bars }
+export function setupReadAloud(ctx){
+  const { prefs } = ctx;
+  const body = drawerPanel(ctx.drawer, 'Read aloud', { id:'readAloudPanel' });
+  const synth = globalThis.speechSynthesis;
+  if(!synth || typeof SpeechSynthesisUtterance === 'undefined'){
+    body.append(h('p', { className:'small muted' }, 'Read aloud is not available in this browser.'));
+    if(ctx.button) ctx.button.hidden = true;
+    return { decorate(){}, toggle(){} };
+  }
+
+  // --- Settings
+  const voiceSel = h('select', { id:'ttsVoice' });
+  const rate = h('input', { type:'range', id:'ttsRate', min:0.5, max:2, step:0.1, value:prefs.get('ttsRate', 1) });
+  const pitch = h('input', { type:'range', id:'ttsPitch', min:0.5, max:1.5, step:0.1, value:prefs.get('ttsPitch', 1) });
+  const cont = h('input', { type:'checkbox', id:'ttsContinue', checked:prefs.get('ttsContinue', true) });
+  body.append(
+    h('div', { className:'row' }, h('label', { htmlFor:'ttsVoice' }, 'Voice'), voiceSel),
+    h('div', { className:'row' }, h('label', { htmlFor:'ttsRate' }, 'Speed'), rate),
+    h('div', { className:'row' }, h('label', { htmlFor:'ttsPitch' }, 'Pitch'), pitch),
+    h('div', { className:'row' }, h('label', { htmlFor:'ttsContinue' }, 'Continue into the next chapter'), cont),
+    h('div', { className:'row' }, h('button', { type:'button', className:'ghost small', onclick:()=> toggle() }, 'Read this chapter')));
+  rate.addEventListener('change', ()=> prefs.set('ttsRate', Number(rate.value)));
+  pitch.addEventListener('change', ()=> prefs.set('ttsPitch', Number(pitch.value)));
+  cont.addEventListener('change', ()=> prefs.set('ttsContinue', cont.checked));
+  voiceSel.addEventListener('change', ()=> prefs.set('ttsVoice', voiceSel.value));
+
+  function fillVoices(){
+    const voices = synth.getVoices();
+    const lang = (document.documentElement.lang || navigator.language || 'en').slice(0, 2);
+    // The page's language first, then the rest
+    const sorted = [...voices].sort((a,b)=> (b.lang.startsWith(lang) - a.lang.startsWith(lang)) || a.name.localeCompare(b.name));
+    voiceSel.replaceChildren(h('option', { value:'' }, 'Default voice'),
+      ...sorted.map(v=> h('option', { value:v.voiceURI }, `${v.name} (${v.lang})`)));
+    voiceSel.value = sorted.some(v=> v.voiceURI === prefs.get('ttsVoice', '')) ? prefs.get('ttsVoice', '') : '';
+  }
+  fillVoices();
+  synth.addEventListener?.('voiceschanged', fillVoices);
+
+  // --- Player bar
+  const status = h('span', { className:'tts-status small' });
+  const playBtn = h('button', { type:'button', className:'ghost', title:'Pause (space)', onclick:()=> playing ? pause() : resume() }, '⏸');
+  const sleepSel = h('select', { 'aria-label':'Sleep timer', className:'small' },
+    SLEEP_CHOICES.map(([v, label])=> h('option', { value:v }, label)));
+  const bar = h('div', { className:'tts-bar', role:'region', 'aria-label':'Read aloud', hidden:true },
+    h('button', { type:'button', className:'ghost', title:'Previous verse', onclick:()=> step(-1) }, '⏮'),
+    playBtn,
+    h('button', { type:'button', className:'ghost', title:'Next verse', onclick:()=> step(1) }, '⏭'),
+    status, sleepSel,
+    h('button', { type:'button', className:'ghost', title:'Stop reading', onclick:()=> stop() }, '✕'));
+  document.body.appendChild(bar);
+  sleepSel.addEventListener('change', ()=> setSleep(sleepSel.value));
+  ctx.button?.addEventListener('click', ()=> toggle());
+  ctx.palette?.register({ id:'read-aloud', title:'Read aloud', keywords:'speech listen audio tts', when:()=> !pos, run:()=> toggle() });
+  ctx.palette?.register({ id:'read-aloud-stop', title:'Stop reading aloud', when:()=> Boolean(pos), run:()=> stop() });
+
+  let pos = null;       // { book, chapter, verses, i } being read
+  let playing = false;
+  let gen = 0;          // bumped on every cancel so stale utterance events are ignored
+  let sleepTimer = 0, sleepAtChapterEnd = false, sleepDue = false;
+
+  async function start(){
+    const from = startVerse();
+    if(!from) return;
+    bar.hidden = false;
+    const mine = gen;
+    let at;
+    try{ at = await load(from.book, from.chapter, from.verse); }
+    catch(e){ if(mine === gen) failed(e); return; }
+    if(mine !== gen) return; // closed meanwhile
+    pos = at;
+    play();
+  }
+
+  // First picked verse, else the first verse on screen
+  function startVerse(){
+    const top = ctx.top();
+    const span = ctx.reader.querySelector('.verse.picked[data-verse]')
+      || Array.from(ctx.reader.querySelectorAll('.verse[data-verse]')).find(s=> s.getBoundingClientRect().bottom > top);
+    return span && { book:span.dataset.book, chapter:Number(span.dataset.chapter), verse:Number(span.dataset.verse) };
+  }
+
+  // -> reading position in a chapter, at `verse` (or the first verse after it)
+  async function load(book, chapter, verse=1){
+    const verses = (await ctx.getData().getChapter(book, chapter)).filter(v=> v.text?.trim());
+    const i = Math.max(0, verses.findIndex(v=> v.verse >= verse));
+    return { book, chapter, verses, i };
+  }
+
+  function play(){
+    const v = pos?.verses[pos.i];
+    if(!v) return;
+    const mine = ++gen;
+    synth.cancel();
+    playing = true;
+    playBtn.textContent = '⏸'; playBtn.title = 'Pause (space)';
+    mark();
+    const u = new SpeechSynthesisUtterance(v.text.replace(/\s+/g, ' '));
+    const voice = synth.getVoices().find(x=> x.voiceURI === prefs.get('ttsVoice', ''));
+    if(voice){ u.voice = voice; u.lang = voice.lang; }
+    u.rate = Number(rate.value);
+    u.pitch = Number(pitch.value);
+    u.addEventListener('end', ()=>{ if(mine === gen) advance(); });
+    u.addEventListener('error', (e)=>{
+      if(mine !== gen || e.error === 'interrupted' || e.error === 'canceled') return;
+      console.warn('[read aloud]', e.error);
+      pause();
+      status.textContent = 'Speech stopped unexpectedly';
+    });
+    synth.speak(u);
+  }
+
+  async function advance(){
+    if(sleepDue){ stop(); return; }
+    if(pos.i + 1 < pos.verses.length){ pos.i++; play(); return; }
+    // End of the chapter
+    const next = ctx.nextChapter(pos.book, pos.chapter, 1);
+    if(sleepAtChapterEnd || !next || !prefs.get('ttsContinue', true)){ stop(); return; }
+    const mine = gen;
+    let at;
+    try{ at = await load(next.book, next.chapter); }
+    catch(e){ if(mine === gen) failed(e); return; }
+    if(mine !== gen) return; // stopped or moved meanwhile
+    pos = at;
+    ctx.show(next.book, next.chapter);
+    play();
+  }
+
+  function pause(){
+    gen++;
+    synth.cancel();
+    playing = false;
+    playBtn.textContent = '▶'; playBtn.title = 'Resume (space)';
+  }
+  function resume(){ if(pos) play(); }
+
+  async function step(dir){
+    if(!pos) return;
+    const i = pos.i + dir;
+    if(i >= 0 && i < pos.verses.length){ pos.i = i; play(); return; }
+    // Step across chapter boundaries too
+    const to = ctx.nextChapter(pos.book, pos.chapter, dir);
+    if(!to) return;
+    const mine = ++gen;
+    synth.cancel();
+    let at;
+    try{ at = await load(to.book, to.chapter); }
+    catch(e){ if(mine === gen) failed(e); return; }
+    if(mine !== gen) return;
+    pos = at;
+    if(dir < 0) pos.i = pos.verses.length - 1;
+    ctx.show(to.book, to.chapter);
+    play();
+  }
+
+  function stop(){
+    gen++;
+    synth.cancel();
+    playing = false;
+    pos = null;
+    bar.hidden = true;
+    setSleep(0);
+    sleepSel.value = '0';
+    unmark();
+  }
+
+  // A chapter could not be loaded: stop, but leave the bar up to say why
+  function failed(e){
+    console.error('[read aloud]', e);
+    stop();
+    playBtn.textContent = '▶'; playBtn.title = 'Resume (space)';
+    status.textContent = e?.message || 'The chapter could not be loaded';
+    bar.hidden = false;
+  }
+
+  function toggle(){ if(pos) stop(); else start(); }
+
+  function setSleep(value){
+    clearTimeout(sleepTimer);
+    sleepAtChapterEnd = value === 'chapter';
+    sleepDue = false;
+    const minutes = Number(value);
+    // Stop at the end of the verse being read when the time is up
+    if(minutes) sleepTimer = setTimeout(()=>{ sleepDue = true; }, minutes * 60000);
+  }
+
+  // --- Highlight
+  function unmark(){
+    for(const el of document.querySelectorAll('.speaking')) el.classList.remove('speaking');
+  }
+  function mark(){
+    unmark();
+    const v = pos?.verses[pos.i];
+    if(!v) return;
+    status.textContent = `${pos.book} ${pos.chapter}:${v.verse}`;
+    // The id sits on the verse number; highlight the whole verse
+    const anchor = document.getElementById(ctx.verseId(pos.book, pos.chapter, v.verse));
+    const el = anchor?.closest('.verse') || anchor;
+    if(!el) return;
+    el.classList.add('speaking');
+    const r = el.getBoundingClientRect();
+    if(r.top < ctx.top() || r.bottom > innerHeight - bar.offsetHeight){
+      el.scrollIntoView({ block:'center', behavior:'smooth' });
+    }
+  }
+
+  document.addEventListener('keydown', (e)=>{
+    if(!pos || e.key !== ' ' || e.target.closest?.('input, textarea, select, button, [contenteditable], dialog')) return;
+    e.preventDefault();
+    if(playing) pause(); else resume();
+  });
+  // Speech does not survive leaving the page
+  window.addEventListener('pagehide', ()=> synth.cancel());
+
+  // After the reader re-renders (e.g. the next chapter arrived), mark the verse again
+  return { decorate: ()=>{ if(pos) mark(); }, toggle };
+}
@@ -0,0 +1,237 @@
+// Scripture reference parsing
+//   "1 Cor 13:4-7", "I John 1:9", "First Corinthians 13", "Song of Songs 2",
+//   "Jn 3:16; Rom 5:8", "John 3:16, 18", "Rom 8:28–9:5", "Gen 1-3", "Jude 5", "Gen.1.1"
+// Book names resolve through SBL and OSIS abbreviations plus common variants; inputs that
+// could mean several books are reported as ambiguous rather than guessed.
+
+// [name, OSIS id, SBL abbreviation, ...other aliases]
+const BOOK_TABLE = [
+  ['Genesis','Gen','Gen','gn','ge'],
+  ['Exodus','Exod','Exod','ex','exo'],
+  ['Leviticus','Lev','Lev','lv','le'],
+  ['Numbers','Num','Num','nm','nu','nb'],
+  ['Deuteronomy','Deut','Deut','dt','de'],
+  ['Joshua','Josh','Josh','jos','jsh'],
+  ['Judges','Judg','Judg','jdg','jg','jdgs'],
+  ['Ruth','Ruth','Ruth','rth','ru'],
+  ['1 Samuel','1Sam','1 Sam','1sa','1sm'],
+  ['2 Samuel','2Sam','2 Sam','2sa','2sm'],
+  ['1 Kings','1Kgs','1 Kgs','1ki','1kin'],
+  ['2 Kings','2Kgs','2 Kgs','2ki','2kin'],
+  ['1 Chronicles','1Chr','1 Chr','1ch','1chron'],
+  ['2 Chronicles','2Chr','2 Chr','2ch','2chron'],
+  ['Ezra','Ezra','Ezra','ezr'],
+  ['Nehemiah','Neh','Neh','ne'],
+  ['Esther','Esth','Esth','est','es'],
+  ['Job','Job','Job','jb'],
+  ['Psalms','Ps','Ps','pss','psa','psalm','pslm','psm'],
+  ['Proverbs','Prov','Prov','pr','prv'],
+  ['Ecclesiastes','Eccl','Eccl','ecc','eccles','qoh','qoheleth'],
+  ['Song of Solomon','Song','Song','song of songs','sos','canticles','cant'],
+  ['Isaiah','Isa','Isa','is'],
+  ['Jeremiah','Jer','Jer','je','jr'],
+  ['Lamentations','Lam','Lam','la'],
+  ['Ezekiel','Ezek','Ezek','eze','ezk'],
+  ['Daniel','Dan','Dan','da','dn'],
+  ['Hosea','Hos','Hos','ho'],
+  ['Joel','Joel','Joel','jl'],
+  ['Amos','Amos','Amos','am'],
+  ['Obadiah','Obad','Obad','ob'],
+  ['Jonah','Jonah','Jonah','jnh','jon'],
+  ['Micah','Mic','Mic','mc'],
+  ['Nahum','Nah','Nah','na'],
+  ['Habakkuk','Hab','Hab','hb'],
+  ['Zephaniah','Zeph','Zeph','zep','zp'],
+  ['Haggai','Hag','Hag','hg'],
+  ['Zechariah','Zech','Zech','zec','zc'],
+  ['Malachi','Mal','Mal','ml'],
+  ['Matthew','Matt','Matt','mt'],
+  ['Mark','Mark','Mark','mk','mrk'],
+  ['Luke','Luke','Luke','lk','luk'],
+  ['John','John','John','jn','jhn'],
+  ['Acts','Acts','Acts','ac'],
+  ['Romans','Rom','Rom','ro','rm'],
+  ['1 Corinthians','1Cor','1 Cor','1co'],
+  ['2 Corinthians','2Cor','2 Cor','2co'],
+  ['Galatians','Gal','Gal','ga'],
+  ['Ephesians','Eph','Eph','ephes'],
+  ['Philippians','Phil','Phil','php','pp'],
+  ['Colossians','Col','Col'],
+  ['1 Thessalonians','1Thess','1 Thess','1th','1thes'],
+  ['2 Thessalonians','2Thess','2 Thess','2th','2thes'],
+  ['1 Timothy','1Tim','1 Tim','1ti','1tm'],
+  ['2 Timothy','2Tim','2 Tim','2ti','2tm'],
+  ['Titus','Titus','Titus','tit'],
+  ['Philemon','Phlm','Phlm','philem','phm','pm'],
+  ['Hebrews','Heb','Heb'],
+  ['James','Jas','Jas','jm'],
+  ['1 Peter','1Pet','1 Pet','1pe','1pt'],
+  ['2 Peter','2Pet','2 Pet','2pe','2pt'],
+  ['1 John','1John','1 John','1jn','1jo','1jhn'],
+  ['2 John','2John','2 John','2jn','2jo','2jhn'],
+  ['3 John','3John','3 John','3jn','3jo','3jhn'],
+  ['Jude','Jude','Jude','jud','jd'],
+  ['Revelation','Rev','Rev','re','revelations','apocalypse','apoc','revelation of john'],
+  // Deuterocanonical books and the Apocrypha (canon.js)
+  ['Tobit','Tob','Tob','tb'],
+  ['Judith','Jdt','Jdt','jth'],
+  ['Additions to Esther','AddEsth','Add Esth','esg','greek esther','rest of esther'],
+  ['Wisdom of Solomon','Wis','Wis','wisdom','ws'],
+  ['Sirach','Sir','Sir','ecclesiasticus','ecclus','ben sira'],
+  ['Baruch','Bar','Bar'],
+  ['Letter of Jeremiah','EpJer','Ep Jer','lje','epistle of jeremiah'],
+  ['Prayer of Azariah','PrAzar','Pr Azar','song of three','song of the three young men'],
+  ['Susanna','Sus','Sus'],
+  ['Bel and the Dragon','Bel','Bel'],
+  ['1 Maccabees','1Macc','1 Macc','1ma','1mac'],
+  ['2 Maccabees','2Macc','2 Macc','2ma','2mac'],
+  ['3 Maccabees','3Macc','3 Macc','3ma','3mac'],
+  ['4 Maccabees','4Macc','4 Macc','4ma','4mac'],
+  ['1 Esdras','1Esd','1 Esd','1es'],
+  ['2 Esdras','2Esd','2 Esd','2es'],
+  ['Prayer of Manasseh','PrMan','Pr Man','manasseh'],
+];
+
+function norm(s){ return String(s).toLowerCase().replace(/[\s.]+/g, ''); }
+
+const ALIASES = new Map();   // normalized alias -> book name
+const OSIS = new Map();      // book name -> OSIS id
+for(const [name, osis, ...rest] of BOOK_TABLE){
+  OSIS.set(name, osis);
+  for(const a of [name, osis, ...rest]){
+    // "jud" stays ambiguous (Judges/Jude): only claim an alias once
+    const k = norm(a);
+    if(!ALIASES.has(k)) ALIASES.set(k, name);
+  }
+}
+ALIASES.delete('jud');
+
+export function osisId(book){
+  return OSIS.get(book) || norm(book);
+}
+export function bookFromOsis(id){
+  const k = norm(id);
+  for(const [name, osis] of OSIS) if(norm(osis) === k) return name;
+  return null;
+}
+
+const ORDINALS = { 1:'1', 2:'2', 3:'3', 4:'4', i:'1', ii:'2', iii:'3', iv:'4', first:'1', second:'2', third:'3', fourth:'4',
+  '1st':'1', '2nd':'2', '3rd':'3', '4th':'4' };
+
+// Book lookup key: "I John" / "First John" / "1st John" / "1 Jn." -> "1john" / "1jn"
+function bookKey(text){
+  const s = String(text).trim();
+  const m = s.match(/^(iii|ii|iv|i|first|second|third|fourth|1st|2nd|3rd|4th)[\s.]+(\S.*)$/i) || s.match(/^([1-4])\s*\.?\s*(\S.*)$/);
+  return m ? ORDINALS[m[1].toLowerCase()] + norm(m[2]) : norm(s);
+}
+
+// -> { book, candidates }: `book` when the text names exactly one of `books`,
+//    otherwise `candidates` lists every book it could mean (empty when none).
+export function resolveBookName(text, books){
+  const k = bookKey(text);
+  if(!k) return { book:null, candidates:[] };
+  const available = new Set(books);
+  const alias = ALIASES.get(k);
+  if(alias && available.has(alias)) return { book:alias, candidates:[alias] };
+  const exact = books.find(b=> norm(b) === k);
+  if(exact) return { book:exact, candidates:[exact] };
+  const candidates = [];
+  for(const b of books){
+    const keys = [norm(b), ...(BOOK_TABLE.find(r=> r[0] === b)?.slice(1).map(norm) || [])];
+    if(keys.some(x=> x.startsWith(k))) candidates.push(b);
+  }
+  return { book: candidates.length === 1 ? candidates[0] : null, candidates };
+}
+
+// Passage: { book, chapter, verse|null, endChapter, endVerse|null }
+// ctx: { books: string[], chapterCount(book) -> number }
+// -> { refs: Passage[], ambiguous: [{ text, candidates }], errors: string[] }
+export function parseRefs(input, ctx){
+  const out = { refs:[], ambiguous:[], errors:[] };
+  const src = String(input ?? '')
+    .replace(/[‒-―]/g, '-')                               // en/em dashes
+    .replace(/\b([1-4]?[A-Za-z]+)\.(\d+)(?:\.(\d+))?/g, (m, b, c, v)=> `${b} ${c}${v ? ':'+v : ''}`) // OSIS "Gen.1.1"
+    .replace(/-(\d+)\.(\d+)/g, '-$1:$2')                                 // OSIS "Rom.8.28-9.5"
+    .replace(/\b([1-4]?[A-Za-z]+) (\d+(?::\d+)?)-\1 (?=\d)/g, '$1 $2-')  // "John 1:1-John 1:5"
+    .trim();
+  if(!src) return out;
+
+  let book = null;
+  for(const group of src.split(';')){
+    const g = group.trim();
+    if(!g) continue;
+    // Optional book name, then the numeric part
+    const m = g.match(/^(?:((?:[1-4]\s*\.?\s*)?[^\d:,\-]*[^\d\s:,\-])\s*)?(\d[\d\s:,\-]*)?$/);
+    if(!m){ out.errors.push(`Could not read "${g}"`); continue; }
+    if(m[1]){
+      const r = resolveBookName(m[1], ctx.books);
+      if(!r.book){
+        if(r.candidates.length > 1) out.ambiguous.push({ text:m[1], candidates:r.candidates });
+        else out.errors.push(`Unknown book "${m[1]}"`);
+        book = null;
+        continue;
+      }
+      book = r.book;
+    }
+    if(!book){ out.errors.push(`"${g}" needs a book name`); continue; }
+    const nums = (m[2] || '').trim();
+    if(!nums){ out.refs.push({ book, chapter:1, verse:null, endChapter:1, endVerse:null }); continue; }
+    parseSpecs(book, nums, ctx, out);
+  }
+  return out;
+}
+
+// "3:16-18, 20, 4:1-5:2" within one book; bare numbers follow the previous spec
+// (a verse after a verse, a chapter after a chapter)
+function parseSpecs(book, nums, ctx, out){
+  const count = ctx.chapterCount(book) || 1;
+  const single = count === 1;
+  let chapter = null, verseMode = false;
+  for(const raw of nums.split(',')){
+    const spec = raw.replace(/\s+/g, '');
+    if(!spec) continue;
+    const m = spec.match(/^(\d+)(?::(\d+))?(?:-(\d+)(?::(\d+))?)?$/);
+    if(!m){ out.errors.push(`Could not read "${book} ${spec}"`); continue; }
+    const [a, b, c, d] = m.slice(1).map(x=> x === undefined ? null : Number(x));
+    let p;
+    if(b != null){                       // c:v[-v | -c:v]
+      chapter = a; verseMode = true;
+      p = d != null ? { chapter:a, verse:b, endChapter:c, endVerse:d }
+        : { chapter:a, verse:b, endChapter:a, endVerse:c ?? b };
+    }else if(d != null){                 // c-c:v
+      chapter = c; verseMode = true;
+      p = { chapter:a, verse:1, endChapter:c, endVerse:d };
+    }else if(verseMode || single){       // v[-v] in the current chapter
+      chapter ??= 1; verseMode = true;
+      p = { chapter, verse:a, endChapter:chapter, endVerse:c ?? a };
+    }else{                               // c[-c]
+      chapter = c ?? a;
+      p = { chapter:a, verse:null, endChapter:c ?? a, endVerse:null };
+    }
+    if(p.endChapter < p.chapter || (p.endChapter === p.chapter && p.verse != null && p.endVerse < p.verse)){
+      out.errors.push(`Range ends before it starts in "${book} ${spec}"`); continue;
+    }
+    if(p.chapter < 1 || p.endChapter > count){
+      out.errors.push(`${book} has ${count} chapter${count === 1 ? '' : 's'}`); continue;
+    }
+    if(p.verse === 0 || p.endVerse === 0){ out.errors.push(`Verse numbers start at 1 in "${book} ${spec}"`); continue; }
+    out.refs.push({ book, ...p });
+  }
+}
+
+// "Romans 8:28–9:5", "John 3:16–21", "Genesis 1–3", "Philemon 4"
+export function formatRef(p, { chapterless=false }={}){
+  const cv = (c, v)=> v == null ? String(c) : chapterless ? String(v) : `${c}:${v}`;
+  let s = `${p.book} ${cv(p.chapter, p.verse)}`;
+  if(p.endChapter !== p.chapter) s += `–${p.verse == null ? p.endChapter : `${p.endChapter}:${p.endVerse}`}`;
+  else if(p.verse != null && p.endVerse != null && p.endVerse !== p.verse) s += `–${p.endVerse}`;
+  return s;
+}
+
+// Compact OSIS-style form used in passage-list URLs: "Gen.1.1", "John.1.1-5", "Rom.8.28-9.5", "Ps.23"
+export function osisRef(p){
+  let s = `${osisId(p.book)}.${p.chapter}${p.verse == null ? '' : '.'+p.verse}`;
+  if(p.endChapter !== p.chapter) s += `-${p.endChapter}${p.verse == null ? '' : '.'+p.endVerse}`;
+  else if(p.verse != null && p.endVerse !== p.verse) s += `-${p.endVerse}`;
+  return s;
+}
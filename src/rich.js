@@ -0,0 +1,154 @@
+// Rich verse content
+// Besides the plain `text`, a verse may carry `parts`: the same words as inline runs
+//   'plain words'
+//   { s, add:true }       words supplied by the translators (KJV italics)
+//   { s, woc:true }       words of Christ (red letter); flags can combine
+//   { s, strong:[id] }    word tagged with Strong's numbers ("H7225", see lexicon.js)
+//   { note:'f'|'x', s }   footnote / cross-reference; not part of `text`
+//   { br:level }          poetry line break, the next line indented to `level`
+// `text` stays plain (no notes, poetry lines separated by "\n") so search, compare and
+// copying never see markup.
+
+import { strongId } from './lexicon.js';
+import { popover } from './ui.js';
+
+// Markup inside plain JSON texts: "[supplied]", "‹words of Christ›" and Strong's tags after
+// the word they belong to, "beginning{H7225}" ("{(H8804)}" morphology codes are dropped)
+const MARKUP_RE = /(\[|\]|‹|›|\{\(?[HG]\d+[a-z]?\)?\})/i;
+
+// Raw dataset text -> { text, parts } (parts null when there is no markup)
+export function parseMarkup(raw){
+  const src = String(raw ?? '');
+  if(!/[[‹{]/.test(src)) return { text:src, parts:null };
+  const toks = src.split(MARKUP_RE);
+  const parts = [];
+  let add = false, woc = false, marked = false;
+  toks.forEach((tok, i)=>{
+    if(i % 2 === 0){
+      if(!tok) return;
+      if(!add && !woc){
+        if(typeof parts[parts.length-1] === 'string') parts[parts.length-1] += tok;
+        else parts.push(tok);
+        return;
+      }
+      const run = { s:tok };
+      if(add) run.add = true;
+      if(woc) run.woc = true;
+      parts.push(run);
+      return;
+    }
+    // Brackets only count when they close later on; a stray one stays literal
+    const rest = toks.slice(i+1).join('');
+    if(tok === '[' && !add && rest.includes(']')){ add = marked = true; return; }
+    if(tok === ']' && add){ add = false; return; }
+    if(tok === '‹' && !woc && rest.includes('›')){ woc = marked = true; return; }
+    if(tok === '›' && woc){ woc = false; return; }
+    if(tok.startsWith('{')){
+      marked = true;
+      if(!tok.includes('(')) tagLastWord(parts, strongId(tok.slice(1, -1)));
+      return;
+    }
+    parts.push(tok);
+  });
+  if(!marked) return { text:src, parts:null };
+  return { text: partsText(parts), parts };
+}
+
+// Move the word just before a Strong's tag into its own tagged run
+function tagLastWord(parts, id){
+  const last = parts[parts.length-1];
+  if(!last || !id) return;
+  if(last.strong){ last.strong.push(id); return; } // "God{H430}{H853}"
+  const s = typeof last === 'string' ? last : last.s;
+  const m = s.match(/[\p{L}\p{M}\p{N}’'-]+$/u);
+  if(!m) return; // a tag with no word before it (untranslated particle)
+  const word = typeof last === 'string' ? { s:m[0] } : { ...last, s:m[0] };
+  word.strong = [id];
+  const before = s.slice(0, m.index);
+  if(!before) parts.pop();
+  else if(typeof last === 'string') parts[parts.length-1] = before;
+  else last.s = before;
+  parts.push(word);
+}
+
+export function partsText(parts){
+  let s = '';
+  for(const p of parts){
+    if(typeof p === 'string') s += p;
+    else if(p.br != null) s += '\n';
+    else if(!p.note) s += p.s;
+  }
+  return s.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+}
+
+// Inline content of one verse. `notes` numbers footnote callers across a chapter: { count }
+export function renderVerseText(v, notes={ count:0 }){
+  const frag = document.createDocumentFragment();
+  if(v.poetry > 1) frag.appendChild(indent(v.poetry));
+  if(!v.parts){
+    const lines = String(v.text).trim().split('\n');
+    lines.forEach((line, i)=>{
+      if(i) frag.appendChild(lineBreak(v.poetry || 1));
+      frag.appendChild(document.createTextNode(line));
+    });
+    return frag;
+  }
+  for(const p of v.parts){
+    if(typeof p === 'string'){ frag.appendChild(document.createTextNode(p)); continue; }
+    if(p.br != null){ frag.appendChild(lineBreak(p.br)); continue; }
+    if(p.note){
+      const caller = p.note === 'x' ? '†' : callerFor(notes.count++);
+      const btn = document.createElement('button');
+      btn.type = 'button'; btn.className = `note-ref note-${p.note}`;
+      btn.textContent = caller;
+      btn.dataset.note = p.s;
+      btn.setAttribute('aria-label', p.note === 'x' ? 'Cross-references' : `Footnote ${caller}`);
+      frag.appendChild(btn);
+      continue;
+    }
+    let el = document.createTextNode(p.s);
+    if(p.add){ const i = document.createElement('i'); i.className = 'add'; i.appendChild(el); el = i; }
+    if(p.woc){ const w = document.createElement('span'); w.className = 'woc'; w.appendChild(el); el = w; }
+    if(p.strong){
+      const w = document.createElement('span'); w.className = 'w';
+      w.dataset.strong = p.strong.join(' ');
+      w.appendChild(el); el = w;
+    }
+    frag.appendChild(el);
+  }
+  return frag;
+}
+
+function callerFor(n){
+  // a..z, aa..zz
+  const letter = String.fromCharCode(97 + n % 26);
+  return n < 26 ? letter : letter.repeat(Math.floor(n / 26) + 1);
+}
+
+// Poetry: a line break, then a spacer for the indent level (level 1 = the verse's own margin)
+function lineBreak(level){
+  const frag = document.createDocumentFragment();
+  frag.appendChild(document.createElement('br'));
+  if(level > 1) frag.appendChild(indent(level));
+  return frag;
+}
+function indent(level){
+  const sp = document.createElement('span');
+  sp.className = 'pindent';
+  sp.style.setProperty('--indent', String(level - 1));
+  return sp;
+}
+
+// Footnote / cross-reference popover for `.note-ref` buttons inside `root`
+// linkRefs(text) -> Node|null turns cross-reference text into links
+export function setupNotePopover(root, { linkRefs }={}){
+  const pop = popover('note-pop');
+  root.addEventListener('click', (e)=>{
+    const btn = e.target.closest('.note-ref');
+    if(!btn) return;
+    if(pop.anchor === btn){ pop.close(); return; }
+    const text = btn.dataset.note;
+    const links = btn.classList.contains('note-x') ? linkRefs?.(text) : null;
+    pop.open(btn, links || text);
+  });
+}
@@ -0,0 +1,79 @@
+// Hash routes
+//   #/Book/Chapter[/Verse]          current translation (links from before versions existed)
+//   #/VER/Book/Chapter[/Verse]      explicit translation, e.g. #/WEB/John/3/16
+//   #/VER+VER/Book/Chapter          parallel reading, 2-4 translations, e.g. #/KJV+ASV/Romans/8
+//   #/compare/A/B/Book/Chapter[/Verse]   word differences between two translations
+//   #/[VER/]Book/Chapter/V-V         verse range, e.g. #/John/3/16-21
+//   #/[VER/]Book/Chapter/V-C/V       cross-chapter range, e.g. #/Romans/8/28-9/5
+//   #/[VER/]p/Gen.1.1;John.1.1-5     passage list (resolved with refs.js by the caller)
+
+import { findVersion } from './versions.js';
+
+export const MAX_PARALLEL = 4;
+
+// "KJV+web" -> ['KJV','WEB']; null unless every part is a known translation
+function parseVersions(seg){
+  if(!/^[A-Za-z0-9]+(\+[A-Za-z0-9]+)*$/.test(seg)) return null;
+  const ids = seg.split('+').map(p=> findVersion(p)?.id);
+  if(ids.some(id=> !id)) return null;
+  return [...new Set(ids)].slice(0, MAX_PARALLEL);
+}
+
+export function parseHash(hash){
+  const parts = String(hash).replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  let compare = null;
+  if(parts[0] === 'compare' && findVersion(parts[1]) && findVersion(parts[2])){
+    compare = [findVersion(parts[1]).id, findVersion(parts[2]).id];
+    parts.splice(0, 3);
+  }
+  let versions = null;
+  if(!compare && parts.length >= 2 && !/^\d+$/.test(parts[1])) versions = parseVersions(parts[0]);
+  if(versions) parts.shift();
+  const version = versions?.[0] ?? null;
+  const none = { version, versions, compare, list:null, book:null, chapter:null, verse:null, endChapter:null, endVerse:null };
+  if(parts[0] === 'p') return parts.length === 2 ? { ...none, list:parts[1] } : none;
+  const [book, chapter, vspec, v2] = parts;
+  if(!book || (chapter && !/^\d+$/.test(chapter)) || parts.length > 4) return none;
+  const vm = vspec ? vspec.match(/^(\d+)(?:-(\d+))?$/) : null;
+  if(vspec && !vm) return none;
+  let verse = null, endChapter = null, endVerse = null;
+  if(vm){
+    verse = Number(vm[1]);
+    if(v2 != null){                      // V-C/V
+      if(!vm[2] || !/^\d+$/.test(v2)) return none;
+      endChapter = Number(vm[2]); endVerse = Number(v2);
+    }else if(vm[2]){                     // V-V
+      endChapter = Number(chapter); endVerse = Number(vm[2]);
+    }
+  }
+  return {
+    ...none,
+    book,
+    chapter: chapter ? Number(chapter) : null,
+    verse, endChapter, endVerse,
+  };
+}
+
+// `compare`, then `versions` (parallel), win over `version`
+function prefix({ version, versions, compare }){
+  if(compare) return `#/compare/${compare.map(encodeURIComponent).join('/')}/`;
+  if(versions?.length) return `#/${versions.map(encodeURIComponent).join('+')}/`;
+  if(version) return `#/${encodeURIComponent(version)}/`;
+  return '#/';
+}
+
+export function hashFor({ version, versions, compare, book, chapter, verse, endChapter, endVerse }){
+  let h = prefix({ version, versions, compare });
+  h += `${encodeURIComponent(book)}/${chapter ?? 1}`;
+  if(verse){
+    h += `/${verse}`;
+    if(endChapter && endChapter !== chapter) h += `-${endChapter}/${endVerse}`;
+    else if(endVerse && endVerse !== verse) h += `-${endVerse}`;
+  }
+  return h;
+}
+
+// Passage list; `osis` is one compact reference per passage (see refs.js osisRef)
+export function listHash({ version, versions, compare }, osis){
+  return `${prefix({ version, versions, compare })}p/${osis.map(encodeURIComponent).join(';')}`;
+}
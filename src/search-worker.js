@@ -1,20 +1,96 @@
 // Web Worker for non-blocking search.
-// Strategy: the main thread sends metadata (book list + chapter counts).
-// We pull chapters on demand, scan for query tokens, and send back preview hits.
+// Strategy: the main thread sends metadata (translation, book list, chapter counts, data version).
+// The first time a data version is seen we pull every chapter once, build a
+// token -> verse inverted index and persist it in IndexedDB keyed by translation + version.
+// Later sessions load the index back and answer queries without any chapter round trips.
+// Per-book data is versioned on its layout only, so the index also keeps a fingerprint of every
+// book file; the main thread reports the fingerprints as it reads books, and a changed one rebuilds.
+// Strong's numbers of tagged texts are indexed as "strong:H7225" tokens, with the words they
+// tag (`glosses`) so hits can be highlighted.
+// Smart search (optional, per query) also matches archaic and inflected spellings of each word
+// ("you gave" finds "ye gave" and "thou gavest") and ranks verses by relevance (archaic.js).
+
+import { openDB, idbGet, idbPut, idbKeys, idbDelete } from './idb.js';
+import { parseQuery, resolveScope, positiveTerms, termSource, words, QueryError } from './query.js';
+import { concordance, taggedRuns } from './concordance.js';
+import { equivalenceMap, smartKey, fold } from './archaic.js';
+
+const INDEX_FORMAT = 5; // bump when the tokenizer, the stored layout or the indexed text changes (3: Strong's numbers, 4: book hashes, 5: tagged runs)
+const DB_NAME = 'sb-search';
+const STORE = 'indexes';
 
 let meta = null;
+let ready = null;   // Promise<index|null> for the current meta
+let buildGen = 0;   // bumped on every init; stale builds stop early
+let current = null; // newest search: { id, index, docs, terms, pos }; older ones stop streaming
+let bookHashes = new Map(); // book -> fingerprint of its file as the main thread last read it (per-book data)
+
+const BATCH = 20;   // hits per 'hits' message
+
+let equivalents = equivalenceMap(); // smart search table; data/equivalents.json may replace it
+let smartVocab = null;              // { index, byKey: Map<key, words[]> } for the current index
 
 self.onmessage = async (ev)=>{
   const { type } = ev.data || {};
   if(type === 'init'){
     meta = ev.data.indexMeta;
+    bookHashes = new Map(Object.entries(ev.data.bookHashes || {}));
+    ready = loadOrBuild(meta);
   }else if(type === 'search'){
-    if(!meta) return;
-    const { query, limit=100 } = ev.data;
-    const hits = await search(query, limit);
-    postMessage({ type:'hits', hits });
+    const { id, query, limit=100, smart=false } = ev.data;
+    const s = current = { id };
+    const index = ready && await ready;
+    if(current !== s) return; // superseded while the index was loading
+    if(!index){ postMessage({ type:'error', id, message:'The search index is not available' }); return; }
+    try{
+      Object.assign(s, { index, pos:0 }, run(index, query, smart));
+    }catch(e){
+      if(!(e instanceof QueryError)) console.error('[search]', e);
+      postMessage({ type:'error', id, message: e instanceof QueryError ? e.message : 'Search failed' });
+      return;
+    }
+    await stream(s, limit);
+  }else if(type === 'more'){
+    if(current?.docs && current.id === ev.data.id) await stream(current, ev.data.limit ?? 100);
+  }else if(type === 'peek'){
+    // A few hits in one reply (command palette); leaves the running search alone
+    const { id, query, limit=8, smart=false } = ev.data;
+    const index = ready && await ready;
+    if(!index){ postMessage({ type:'peek', id, error:'The search index is not available' }); return; }
+    try{
+      const { docs, terms } = run(index, query, smart);
+      postMessage({ type:'peek', id, hits: docs.slice(0, limit).map(d=> toHit(index, d, terms)), total:docs.length });
+    }catch(e){
+      if(!(e instanceof QueryError)) console.error('[search]', e);
+      postMessage({ type:'peek', id, error: e instanceof QueryError ? e.message : 'Search failed' });
+    }
+  }else if(type === 'concordance'){
+    // Counted in one go: even "the" is a single pass over the verses that contain it
+    const { id, query } = ev.data;
+    const index = ready && await ready;
+    if(!index){ postMessage({ type:'concordance', id, error:'The search index is not available' }); return; }
+    try{
+      postMessage({ type:'concordance', id, result: concordance(index, query, unpackRef) });
+    }catch(e){
+      if(!(e instanceof QueryError)) console.error('[concordance]', e);
+      postMessage({ type:'concordance', id, error: e instanceof QueryError ? e.message : 'Counting failed' });
+    }
+  }else if(type === 'equivalents'){
+    equivalents = equivalenceMap(ev.data.groups || undefined);
+    smartVocab = null;
+  }else if(type === 'book-hash'){
+    const { source, book, hash } = ev.data;
+    if(source !== meta?.source) return;
+    bookHashes.set(book, hash);
+    // A book file changed since the index was built: build it again
+    const was = ready;
+    const index = was && await was;
+    if(ready === was && index && outdated(index)) ready = loadOrBuild(meta);
+  }else if(type === 'cancel'){
+    current = null;
   }else if(type === 'chapter-data'){
-    const { book, chapter, verses } = ev.data;
+    const { source, book, chapter, verses } = ev.data;
+    if(source !== meta?.source) return; // reply for a translation we switched away from
     _chapterCache.set(key(book,chapter), verses);
     _pendingResolvers.get(key(book,chapter))?.(verses);
     _pendingResolvers.delete(key(book,chapter));
@@ -31,47 +107,308 @@ async function getChapter(b,c){
   // request from main
   const verses = await new Promise(resolve=>{
     _pendingResolvers.set(k, resolve);
-    postMessage({ type:'need-chapter', book:b, chapter:c });
+    postMessage({ type:'need-chapter', source:meta.source, book:b, chapter:c });
   });
   return verses;
 }
 
-async function search(q, limit){
-  const tokens = tokenize(q);
-  if(tokens.length === 0) return [];
-  const results = [];
-  outer: for(let bi=0; bi<meta.books.length; bi++){
-    const b = meta.books[bi];
-    const cc = meta.chapterCounts[bi] || 1;
-    for(let c=1; c<=cc; c++){
-      const verses = await getChapter(b,c);
+// --- Index lifecycle
+
+let _db = null;
+function db(){
+  _db ??= openDB(DB_NAME, 1, (d)=>{ d.createObjectStore(STORE); });
+  return _db;
+}
+
+async function loadOrBuild(m){
+  const gen = ++buildGen;
+  _chapterCache.clear();
+  const prefix = `${INDEX_FORMAT}:${m.source}:`;
+  const id = m.version ? prefix + m.version : null;
+  try{
+    const store = id ? await db().catch(()=>null) : null;
+    if(store){
+      const saved = await idbGet(store, STORE, id).catch(()=>null);
+      if(saved && gen === buildGen && !outdated(saved)){
+        postMessage({ type:'index-ready', cached:true, verses:saved.texts.length });
+        return saved;
+      }
+    }
+    const index = await buildIndex(m, gen);
+    if(!index) return null; // superseded by a newer init
+    _chapterCache.clear();
+    if(store){
+      // One index per translation: drop older data versions and older index formats
+      for(const k of await idbKeys(store, STORE).catch(()=>[])){
+        const stale = String(k).startsWith(prefix) || !String(k).startsWith(`${INDEX_FORMAT}:`);
+        if(k !== id && stale) await idbDelete(store, STORE, k).catch(()=>{});
+      }
+      await idbPut(store, STORE, index, id).catch(e=> console.warn('[search] index not persisted:', e));
+    }
+    postMessage({ type:'index-ready', cached:false, verses:index.texts.length });
+    return index;
+  }catch(e){
+    postMessage({ type:'index-error', message: String(e?.message || e) });
+    return null;
+  }
+}
+
+async function buildIndex(m, gen){
+  const total = m.chapterCounts.reduce((a,n)=> a + (n || 1), 0);
+  const refs = [];     // packed book/chapter/verse per doc
+  const texts = [];    // verse text per doc
+  const lists = new Map(); // token -> doc ids (ascending)
+  const glosses = new Map(); // Strong's id -> Set of words it tags
+  const tagged = new Map();  // Strong's id -> [doc, start, length, ...] of the runs it tags (concordance)
+  let done = 0;
+  for(let bi=0; bi<m.books.length; bi++){
+    const b = m.books[bi];
+    const cc = m.chapterCounts[bi] || 1;
+    postMessage({ type:'index-progress', book:b, done, total });
+    // Ask for the whole book at once; the main thread fetches per-book data only once
+    const chapters = await Promise.all(Array.from({ length:cc }, (_, i)=> getChapter(b, i+1)));
+    if(gen !== buildGen) return null;
+    chapters.forEach((verses, ci)=>{
       for(const v of verses){
-        const txt = v.text.toLowerCase();
-        let ok = true;
-        for(const t of tokens){ if(!txt.includes(t)){ ok=false; break; } }
-        if(ok){
-          results.push({
-            book:b, chapter:c, verse:v.verse,
-            previewHtml: highlight(v.text, tokens),
-          });
-          if(results.length >= limit) break outer;
+        const doc = texts.length;
+        refs.push(packRef(bi, ci+1, v.verse));
+        texts.push(v.text);
+        const tokens = new Set(words(v.text));
+        for(const p of v.parts || []){
+          if(!p.strong) continue;
+          for(const id of p.strong){
+            tokens.add(`strong:${id}`);
+            if(!glosses.has(id)) glosses.set(id, new Set());
+            for(const w of words(p.s)) glosses.get(id).add(w);
+          }
+        }
+        if(v.parts) for(const [id, at, len] of taggedRuns(v.text, v.parts)){
+          let list = tagged.get(id);
+          if(!list) tagged.set(id, list = []);
+          list.push(doc, at, len);
+        }
+        for(const t of tokens){
+          let list = lists.get(t);
+          if(!list) lists.set(t, list = []);
+          list.push(doc);
         }
       }
+    });
+    done += cc;
+  }
+  postMessage({ type:'index-progress', book:null, done, total });
+  const postings = new Map();
+  for(const [t, list] of lists) postings.set(t, Uint32Array.from(list));
+  const glossWords = new Map();
+  for(const [id, set] of glosses) glossWords.set(id, Array.from(set));
+  const taggedRefs = new Map();
+  for(const [id, list] of tagged) taggedRefs.set(id, Uint32Array.from(list));
+  const hashes = Object.fromEntries(m.books.filter(b=> bookHashes.has(b)).map(b=> [b, bookHashes.get(b)]));
+  return { books: m.books, refs: Uint32Array.from(refs), texts, postings, glosses: glossWords, tagged: taggedRefs, bookHashes: hashes };
+}
+
+// The index was built from a book file that has changed since
+function outdated(index){
+  for(const [book, hash] of bookHashes){
+    if(index.bookHashes?.[book] && index.bookHashes[book] !== hash) return true;
+  }
+  return false;
+}
+
+function packRef(bi, c, v){ return bi * 65536 + c * 256 + v; }
+function unpackRef(n){ return [Math.floor(n / 65536), Math.floor(n / 256) % 256, n % 256]; }
+
+// --- Query
+
+function run(index, q, smart){
+  const parsed = parseQuery(q);
+  const expr = smart ? smarten(index, parsed.expr) : parsed.expr;
+  const { scopes } = parsed;
+  let docs = evaluate(index, expr);
+  if(scopes.length){
+    const ranges = scopes.flatMap(sc=> resolveScope(sc, index.books));
+    docs = docs.filter(d=> inScope(index.refs[d], ranges));
+  }
+  // A Strong's number highlights the words it tags
+  const terms = positiveTerms(expr).flatMap(t=> t.type !== 'strong' ? [t]
+    : (index.glosses.get(t.id) || []).map(word=> ({ type:'term', word, wildcard:false })));
+  if(smart) docs = rank(index, docs, terms);
+  return { docs, terms };
+}
+
+// --- Smart search
+
+// Plain words (also inside phrases and exclusions) get `forms`: every indexed spelling with the same key
+function smarten(index, node){
+  if(node.type === 'term') return node.wildcard ? node : { ...node, forms: smartForms(index, node.word) };
+  if(node.type === 'phrase') return { ...node, forms: node.words.map(w=> w.includes('*') ? null : smartForms(index, w)) };
+  if(node.type === 'or') return { ...node, items: node.items.map(n=> smarten(index, n)) };
+  if(node.type === 'and') return { ...node, items: node.items.map(n=> smarten(index, n)), not: node.not.map(n=> smarten(index, n)) };
+  return node;
+}
+
+function smartForms(index, word){
+  if(smartVocab?.index !== index){
+    const byKey = new Map();
+    for(const w of index.postings.keys()){
+      if(w.startsWith('strong:')) continue;
+      const k = smartKey(w, equivalents);
+      if(!byKey.has(k)) byKey.set(k, []);
+      byKey.get(k).push(w);
     }
+    smartVocab = { index, byKey };
   }
-  return results;
+  const forms = smartVocab.byKey.get(smartKey(word, equivalents)) || [];
+  return forms.includes(word) ? forms : [word, ...forms];
 }
 
-function tokenize(s){
-  return s.toLowerCase().split(/\s+/).map(x=>x.trim()).filter(Boolean).slice(0,5);
+// Relevance: rarer terms weigh more, repeats add a little (1, 1.5, 1.67, ...) and a term found
+// spelt (up to accents) the way the query spells it scores a full point more, so "you gave"
+// lists "you gave" before "ye gave". Ties keep canonical order.
+function rank(index, docs, terms){
+  if(!terms.length || docs.length < 2) return docs;
+  const matchers = terms.map(t=> ({
+    all: phraseRegExp(termWords(t), 'g'),
+    exact: (text)=> hasExact(text, t.type === 'phrase' ? t.words : [t.word]),
+  }));
+  const perTerm = docs.map(d=> matchers.map(m=> {
+    const text = index.texts[d];
+    const n = text.match(m.all)?.length ?? 0;
+    return n && (n / (n + 1)) * 2 + (m.exact(text) ? 1 : 0);
+  }));
+  const weights = matchers.map((_, i)=>{
+    const df = perTerm.reduce((a, c)=> a + (c[i] ? 1 : 0), 0);
+    return Math.log(1 + index.texts.length / Math.max(1, df));
+  });
+  const scores = new Map(docs.map((d, j)=> [d, perTerm[j].reduce((a, x, i)=> a + x * weights[i], 0)]));
+  return docs.slice().sort((a, b)=> scores.get(b) - scores.get(a));
 }
-function esc(s){ return s.replace(/[&<>"]/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;' }[c])); }
-function highlight(text, tokens){
-  let out = esc(text);
-  for(const t of tokens){
-    const re = new RegExp(`(${escapeRegExp(t)})`, 'ig');
-    out = out.replace(re, '<mark>$1</mark>');
+
+// Whether the query's own words (or phrase) occur, compared after folding accents and apostrophes
+function hasExact(text, ws){
+  if(ws.some(w=> w.includes('*'))) return false;
+  const want = ws.map(fold);
+  const got = words(text).map(fold);
+  for(let i=0; i + want.length <= got.length; i++){
+    if(want.every((w, j)=> got[i+j] === w)) return true;
+  }
+  return false;
+}
+
+// Post the next `limit` hits in small batches, yielding between them so a newer
+// search or a cancel can take over.
+async function stream(s, limit){
+  const end = Math.min(s.docs.length, s.pos + limit);
+  while(s.pos < end){
+    const batch = s.docs.slice(s.pos, Math.min(end, s.pos + BATCH));
+    s.pos += batch.length;
+    const hits = batch.map(d=> toHit(s.index, d, s.terms));
+    postMessage({ type:'hits', id:s.id, hits, book:hits[hits.length-1].book, shown:s.pos, total:s.docs.length });
+    await new Promise(r=> setTimeout(r, 0));
+    if(current !== s) return;
+  }
+  postMessage({ type:'search-done', id:s.id, shown:s.pos, total:s.docs.length });
+}
+
+function toHit(index, d, terms){
+  const [bi, c, v] = unpackRef(index.refs[d]);
+  return {
+    book:index.books[bi], chapter:c, verse:v,
+    previewHtml: highlight(index.texts[d], terms),
+  };
+}
+
+function evaluate(index, node){
+  if(node.type === 'term') return node.forms ? formsDocs(index, node.forms) : termDocs(index, node);
+  if(node.type === 'strong') return Array.from(index.postings.get(`strong:${node.id}`) || []);
+  if(node.type === 'phrase'){
+    let docs = null;
+    for(const [i, w] of node.words.entries()){
+      const d = node.forms?.[i] ? formsDocs(index, node.forms[i]) : termDocs(index, { word:w, wildcard:w.includes('*') });
+      docs = docs ? intersect(docs, d) : d;
+      if(!docs.length) return docs;
+    }
+    const re = phraseRegExp(termWords(node), '');
+    return docs.filter(d=> re.test(index.texts[d]));
+  }
+  if(node.type === 'or') return union(node.items.map(n=> evaluate(index, n)));
+  let docs = null;
+  for(const n of node.items){
+    const d = evaluate(index, n);
+    docs = docs ? intersect(docs, d) : d;
+    if(!docs.length) return docs;
+  }
+  for(const n of node.not){
+    const drop = new Set(evaluate(index, n));
+    docs = docs.filter(d=> !drop.has(d));
+  }
+  return docs;
+}
+
+// Whole-word lookup; wildcards expand against the index vocabulary
+function termDocs(index, { word, wildcard }){
+  if(!wildcard) return Array.from(index.postings.get(word) || []);
+  const re = new RegExp(`^${termSource(word)}$`, 'u');
+  const parts = [];
+  for(const [w, list] of index.postings){ if(re.test(w)) parts.push(Array.from(list)); }
+  return union(parts);
+}
+
+function formsDocs(index, forms){
+  return union(forms.map(w=> Array.from(index.postings.get(w) || [])));
+}
+
+// Words of a term or phrase to match; with smart search a word may be a list of spellings
+function termWords(t){
+  if(t.type === 'phrase') return t.forms ? t.words.map((w, i)=> t.forms[i] || w) : t.words;
+  return [t.forms || t.word];
+}
+
+const WORD_EDGE = "[\\p{L}\\p{N}']";
+function phraseRegExp(ws, flags){
+  const source = (w)=> Array.isArray(w) ? `(?:${w.map(termSource).join('|')})` : termSource(w);
+  return new RegExp(`(?<!${WORD_EDGE})${ws.map(source).join("[^\\p{L}\\p{N}']+")}(?!${WORD_EDGE})`, `iu${flags}`);
+}
+
+function inScope(ref, ranges){
+  const [bi, c] = unpackRef(ref);
+  return ranges.some(({ from, to })=>
+    (bi > from[0] || (bi === from[0] && c >= from[1])) &&
+    (bi < to[0]   || (bi === to[0]   && c <= to[1])));
+}
+
+function union(lists){
+  if(lists.length === 1) return lists[0];
+  const seen = new Set();
+  for(const list of lists) for(const d of list) seen.add(d);
+  return Array.from(seen).sort((a,b)=>a-b);
+}
+function intersect(a, b){
+  const out = [];
+  let i = 0, j = 0;
+  while(i < a.length && j < b.length){
+    if(a[i] === b[j]){ out.push(a[i]); i++; j++; }
+    else if(a[i] < b[j]) i++;
+    else j++;
   }
   return out;
 }
-function escapeRegExp(s){ return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+function esc(s){ return s.replace(/[&<>"]/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;' }[c])); }
+// Mark every match of the query's positive terms; ranges are merged so marks never nest
+function highlight(text, terms){
+  const ranges = [];
+  for(const t of terms){
+    const re = phraseRegExp(termWords(t), 'g');
+    for(const m of text.matchAll(re)) ranges.push([m.index, m.index + m[0].length]);
+  }
+  ranges.sort((a,b)=> a[0]-b[0]);
+  let out = '', pos = 0;
+  for(const [s, e] of ranges){
+    if(e <= pos) continue;
+    const from = Math.max(s, pos);
+    out += esc(text.slice(pos, from)) + '<mark>' + esc(text.slice(from, e)) + '</mark>';
+    pos = e;
+  }
+  return out + esc(text.slice(pos));
+}
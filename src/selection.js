@@ -0,0 +1,71 @@
+// Verse selection in the reader
+// Tap verses (or drag a text selection across them) to pick them; a floating toolbar
+// shows the actions other modules register with addAction().
+// Picks come from the `.verse` spans renderChapter() creates (data-book/-chapter/-verse).
+
+import { h } from './ui.js';
+
+export class VerseSelection extends EventTarget{
+  constructor(reader){
+    super();
+    this.reader = reader;
+    this.toolbar = h('div', { className:'sel-toolbar', role:'toolbar', 'aria-label':'Selected verses', hidden:true },
+      this.countEl = h('span', { className:'sel-count muted small' }),
+      this.actionsEl = h('span', { className:'sel-actions' }),
+      h('button', { type:'button', className:'ghost', title:'Clear selection (Esc)', onclick:()=> this.clear() }, '✕'));
+    document.body.appendChild(this.toolbar);
+
+    reader.addEventListener('click', (e)=>{
+      if(e.target.closest('a, button, input, .ann-mark, .strong-lookup .w[data-strong]')) return; // lexicon-ui.js owns word taps
+      if(!getSelection().isCollapsed) return; // handled as a text selection
+      const span = e.target.closest('.verse[data-verse]');
+      if(!span) return;
+      span.classList.toggle('picked');
+      this._changed();
+    });
+    reader.addEventListener('pointerup', ()=>{
+      const sel = getSelection();
+      if(sel.isCollapsed || !reader.contains(sel.anchorNode)) return;
+      let any = false;
+      for(const span of reader.querySelectorAll('.verse[data-verse]')){
+        if(sel.containsNode(span, true)){ span.classList.add('picked'); any = true; }
+      }
+      if(any) this._changed();
+    });
+    document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape' && this.size) this.clear(); });
+  }
+
+  // { label, title?, className?, run(verses, selection) }
+  addAction({ label, title, className, run }){
+    const btn = h('button', { type:'button', className:`ghost ${className || ''}`.trim(), title: title || label }, label);
+    btn.addEventListener('click', async ()=>{
+      const verses = this.verses;
+      if(!verses.length) return;
+      try{ await run(verses, this); }
+      catch(e){ console.error('[selection]', e); alert(e.message || String(e)); }
+    });
+    this.actionsEl.appendChild(btn);
+    return btn;
+  }
+
+  get size(){ return this.reader.querySelectorAll('.verse.picked').length; }
+
+  // Picked verses in reading order: [{ book, chapter, verse, el }]
+  get verses(){
+    return Array.from(this.reader.querySelectorAll('.verse.picked'), (el)=> ({
+      book: el.dataset.book, chapter: Number(el.dataset.chapter), verse: Number(el.dataset.verse), el,
+    }));
+  }
+
+  clear(){
+    for(const el of this.reader.querySelectorAll('.verse.picked')) el.classList.remove('picked');
+    this._changed();
+  }
+
+  _changed(){
+    const n = this.size;
+    this.toolbar.hidden = n === 0;
+    this.countEl.textContent = `${n} verse${n === 1 ? '' : 's'}`;
+    this.dispatchEvent(new Event('change'));
+  }
+}
@@ -0,0 +1,117 @@
+// Copy and share picked verses: selection-toolbar actions (copy with the reference, share, link)
+// and a drawer panel to choose the copy format and edit its template (citation.js).
+
+import { CITE_FORMATS, DEFAULT_TEMPLATES, versesToPassages, cite } from './citation.js';
+import { h, drawerPanel, copyToClipboard } from './ui.js';
+
+const PREFS_KEY = 'citation'; // { format, numbers, templates:{ [format]: template } }
+
+const SAMPLE = [{ book:'John', chapter:3, verse:16, endChapter:3, endVerse:17, texts:[
+  { verse:16, text:'For God so loved the world, that he gave his only begotten Son…' },
+  { verse:17, text:'For God sent not his Son into the world to condemn the world…' },
+] }];
+
+// ctx: { drawer, selection, getData() -> Data, version() -> id, linkFor(passages) -> hash, prefs }
+export function setupShare(ctx){
+  const { selection, prefs } = ctx;
+  const settings = ()=> ({ format:'text', numbers:false, templates:{}, ...prefs.get(PREFS_KEY, {}) });
+  const absolute = (hash)=> new URL(hash, location.href).href;
+
+  // Picked verses -> cite(format, template?) with their text from the current translation
+  async function citation(verses){
+    const s = settings();
+    const passages = versesToPassages(verses);
+    const data = ctx.getData();
+    for(const p of passages){
+      const chapter = await data.getChapter(p.book, p.chapter);
+      p.texts = p.verses.map(n=> ({ verse:n, text: chapter.find(v=> v.verse === n)?.text ?? '' }));
+    }
+    const link = absolute(ctx.linkFor(passages));
+    return {
+      link,
+      cite: (format, template=s.templates[format])=> cite({ format, template, passages, version:ctx.version(), link, numbers:s.numbers }),
+    };
+  }
+
+  const copyBtn = selection.addAction({ label:'Copy', title:'Copy with the reference (format: drawer → Copy & share)',
+    run: async (verses)=>{
+      const c = await citation(verses);
+      const { format } = settings();
+      // HTML goes on the clipboard next to a plain-text version for apps that cannot paste HTML
+      if(format === 'html') await copyToClipboard(c.cite('text'), c.cite('html'));
+      else await copyToClipboard(c.cite(format));
+      flash(copyBtn, 'Copied');
+    } });
+  if(navigator.share){
+    selection.addAction({ label:'Share', title:'Share the selected verses',
+      run: async (verses)=>{
+        const c = await citation(verses);
+        try{ await navigator.share({ title:c.cite('text', '{ref} ({version})'), text:c.cite('text'), url:c.link }); }
+        catch(e){ if(e.name !== 'AbortError') throw e; } // dismissed share sheet
+      } });
+  }
+  const linkBtn = selection.addAction({ label:'🔗', title:'Copy a link to the selected verses',
+    run: async (verses)=>{
+      await copyToClipboard(absolute(ctx.linkFor(versesToPassages(verses))));
+      flash(linkBtn, '✓');
+    } });
+
+  setupPanel(ctx.drawer, settings, (s)=> prefs.set(PREFS_KEY, s));
+}
+
+function flash(btn, text){
+  const was = btn.textContent;
+  btn.textContent = text;
+  setTimeout(()=>{ btn.textContent = was; }, 1200);
+}
+
+function setupPanel(drawer, settings, save){
+  const body = drawerPanel(drawer, 'Copy & share', { id:'sharePanel' });
+  const formatSel = h('select', { id:'citeFormat' },
+    Object.entries(CITE_FORMATS).map(([v, label])=> h('option', { value:v }, label)));
+  const numbers = h('input', { type:'checkbox', id:'citeNumbers' });
+  const template = h('textarea', { className:'cite-template', rows:3, spellcheck:false, 'aria-label':'Citation template' });
+  const preview = h('pre', { className:'cite-preview small' });
+  body.append(
+    h('div', { className:'row' }, h('label', { htmlFor:'citeFormat' }, 'Copy as'), formatSel),
+    h('div', { className:'row' }, h('label', { htmlFor:'citeNumbers' }, 'Verse numbers'), numbers),
+    h('div', { className:'small muted' }, 'Template: {text} {ref} {version} {link}'),
+    template,
+    h('div', { className:'row' }, h('button', { type:'button', className:'ghost small', onclick: reset }, 'Reset template')),
+    preview);
+
+  function load(){
+    const s = settings();
+    formatSel.value = s.format;
+    numbers.checked = s.numbers;
+    template.value = s.templates[s.format] ?? DEFAULT_TEMPLATES[s.format];
+    render();
+  }
+  function render(){
+    const s = settings();
+    preview.textContent = cite({ format:s.format, template:s.templates[s.format], passages:SAMPLE, version:'KJV',
+      link:'https://example.org/#/KJV/John/3/16-17', numbers:s.numbers });
+  }
+  function update(){
+    const s = settings();
+    s.format = formatSel.value;
+    s.numbers = numbers.checked;
+    s.templates = { ...s.templates };
+    if(template.value && template.value !== DEFAULT_TEMPLATES[s.format]) s.templates[s.format] = template.value;
+    else delete s.templates[s.format];
+    save(s);
+    render();
+  }
+  function reset(){
+    const s = settings();
+    s.templates = { ...s.templates };
+    delete s.templates[s.format];
+    save(s);
+    load();
+  }
+
+  formatSel.addEventListener('change', ()=>{ save({ ...settings(), format:formatSel.value }); load(); });
+  numbers.addEventListener('change', update);
+  template.addEventListener('input', update);
+  load();
+}
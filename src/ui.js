@@ -0,0 +1,95 @@
+// Small DOM helpers shared by the feature panels (no framework)
+
+// h('button', { className:'ghost', onclick }, 'Label') -> element
+export function h(tag, props, ...children){
+  const el = document.createElement(tag);
+  for(const [k, v] of Object.entries(props || {})){
+    if(v == null || v === false) continue;
+    if(k.startsWith('on') && typeof v === 'function') el.addEventListener(k.slice(2), v);
+    else if(k === 'dataset') Object.assign(el.dataset, v);
+    else if(k in el && k !== 'list') el[k] = v;
+    else el.setAttribute(k, v === true ? '' : v);
+  }
+  for(const c of children.flat()){
+    if(c == null || c === false) continue;
+    el.append(c instanceof Node ? c : String(c));
+  }
+  return el;
+}
+
+// Collapsible section appended to the drawer; returns its body element
+export function drawerPanel(drawer, title, { open=false, id }={}){
+  const body = h('div', { className:'panel-body' });
+  const panel = h('details', { className:'panel', id, open }, h('summary', null, title), body);
+  drawer.appendChild(panel);
+  return body;
+}
+
+export function downloadJSON(filename, obj){
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type:'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = h('a', { href:url, download:filename });
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), 1000);
+}
+
+// Resolves with the chosen File, or null if the picker was dismissed
+export function pickFile(accept){
+  return new Promise((resolve)=>{
+    const input = h('input', { type:'file', accept });
+    input.addEventListener('change', ()=> resolve(input.files?.[0] || null));
+    input.addEventListener('cancel', ()=> resolve(null));
+    input.click();
+  });
+}
+
+// Copy text (plus an HTML flavour where the browser allows it)
+export async function copyToClipboard(text, html){
+  if(html && navigator.clipboard?.write && typeof ClipboardItem !== 'undefined'){
+    await navigator.clipboard.write([new ClipboardItem({
+      'text/plain': new Blob([text], { type:'text/plain' }),
+      'text/html': new Blob([html], { type:'text/html' }),
+    })]);
+    return;
+  }
+  if(navigator.clipboard?.writeText){ await navigator.clipboard.writeText(text); return; }
+  // No async clipboard (older browsers, plain http)
+  const ta = h('textarea', { value:text, readOnly:true, style:'position:fixed; opacity:0' });
+  document.body.appendChild(ta);
+  ta.select();
+  const ok = document.execCommand('copy');
+  ta.remove();
+  if(!ok) throw new Error('The browser did not allow copying');
+}
+
+// Floating box under an anchor element; closes on an outside click, Esc or navigation
+// pop.open(anchor, ...content) / pop.close() / pop.anchor (null while closed)
+export function popover(className){
+  const el = h('div', { className:`popover ${className || ''}`.trim(), hidden:true, role:'dialog' });
+  document.body.appendChild(el);
+  const pop = {
+    el, anchor:null,
+    open(anchor, ...content){
+      pop.anchor?.setAttribute('aria-expanded', 'false');
+      pop.anchor = anchor;
+      anchor.setAttribute('aria-expanded', 'true');
+      el.replaceChildren(...content);
+      el.hidden = false;
+      const r = anchor.getBoundingClientRect();
+      const w = Math.min(el.offsetWidth, innerWidth - 16);
+      el.style.left = `${Math.max(scrollX + 8, Math.min(r.left + scrollX - w/2, scrollX + innerWidth - w - 8))}px`;
+      el.style.top = `${r.bottom + scrollY + 6}px`;
+    },
+    close(){
+      el.hidden = true;
+      pop.anchor?.setAttribute('aria-expanded', 'false');
+      pop.anchor = null;
+    },
+  };
+  document.addEventListener('click', (e)=>{
+    if(!el.hidden && !el.contains(e.target) && !pop.anchor?.contains(e.target)) pop.close();
+  });
+  document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape' && !el.hidden) pop.close(); });
+  window.addEventListener('hashchange', ()=> pop.close());
+  return pop;
+}
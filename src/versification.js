@@ -0,0 +1,137 @@
+// Versification: the same verse can carry different numbers in different Bibles.
+//   english  KJV tradition (most English translations); the reference scheme
+//   hebrew   Masoretic numbering: Psalm titles count as verses, Malachi has 3 chapters, Joel 4, ...
+//   lxx      Greek Psalm numbering: Psalms 9–10 and 114–115 joined, 116 and 147 split, titles counted
+// Mappings go through the English scheme, so any two schemes translate into each other.
+// Annotations, cross-references and reading plans are stored with English numbers.
+
+export const SCHEMES = { english:'English', hebrew:'Hebrew (Masoretic)', lxx:'Greek (Septuagint Psalms)' };
+export const DEFAULT_SCHEME = 'english';
+
+// Runs of verses numbered differently: English [chapter, first, last] -> other [chapter, first]
+// (verses in between keep their distance; Infinity: to the end of the chapter).
+// [chapter, first, count] on the other side folds `count` verses into one English verse (Psalm titles: verse 0)
+const E = Infinity;
+const HEBREW = [
+  ['Genesis', [31,55,55], [32,1]], ['Genesis', [32,1,E], [32,2]],
+  ['Exodus', [8,1,4], [7,26]], ['Exodus', [8,5,E], [8,1]],
+  ['Leviticus', [6,1,7], [5,20]], ['Leviticus', [6,8,E], [6,1]],
+  ['Numbers', [16,36,50], [17,1]], ['Numbers', [17,1,E], [17,16]],
+  ['Deuteronomy', [12,32,32], [13,1]], ['Deuteronomy', [13,1,E], [13,2]],
+  ['1 Kings', [4,21,34], [5,1]], ['1 Kings', [5,1,E], [5,15]],
+  ['Isaiah', [9,1,1], [8,23]], ['Isaiah', [9,2,E], [9,1]],
+  ['Daniel', [4,1,3], [3,31]], ['Daniel', [4,4,E], [4,1]],
+  ['Hosea', [1,10,11], [2,1]], ['Hosea', [2,1,E], [2,3]],
+  ['Joel', [2,28,32], [3,1]], ['Joel', [3,1,E], [4,1]],
+  ['Jonah', [1,17,17], [2,1]], ['Jonah', [2,1,E], [2,2]],
+  ['Micah', [5,1,1], [4,14]], ['Micah', [5,2,E], [5,1]],
+  ['Nahum', [1,15,15], [2,1]], ['Nahum', [2,1,E], [2,2]],
+  ['Zechariah', [1,18,21], [2,1]], ['Zechariah', [2,1,E], [2,5]],
+  ['Malachi', [4,1,E], [3,19]],
+];
+const LXX = [];
+
+// Psalm titles are verse 1 (or 1–2) in Hebrew and Greek Bibles; Greek Psalms are numbered one lower
+// from 10 to 147, where English 9–10 and 114–115 are one psalm and 116 and 147 are two
+const TITLES = new Map([
+  ...[3,4,5,6,7,8,9,12,13,18,19,20,21,22,30,31,34,36,38,39,40,41,42,44,45,46,47,48,49,53,55,56,57,58,59,
+    61,62,63,64,65,67,68,69,70,75,76,77,80,81,83,84,85,88,89,92,102,108,140,142].map(n=> [n, 1]),
+  ...[51,52,54,60].map(n=> [n, 2]),
+]);
+const GREEK_SPLITS = { 10:[[1,E,9,22]], 115:[[1,E,113,9]], 116:[[1,9,114,1], [10,E,115,1]], 147:[[1,11,146,1], [12,E,147,1]] };
+for(let n=1; n<=150; n++){
+  const t = TITLES.get(n) || 0;
+  const greek = n <= 9 || n >= 148 ? n : n <= 113 ? n - 1 : n === 114 ? 113 : n - 1;
+  if(t){
+    HEBREW.push(['Psalms', [n,0,0], [n,1,t]], ['Psalms', [n,1,E], [n,1+t]]);
+    LXX.push(['Psalms', [n,0,0], [greek,1,t]], ['Psalms', [n,1,E], [greek,1+t]]);
+  }else if(GREEK_SPLITS[n]){
+    for(const [a, b, c, v] of GREEK_SPLITS[n]) LXX.push(['Psalms', [n,a,b], [c,v]]);
+  }else if(greek !== n){
+    LXX.push(['Psalms', [n,1,E], [greek,1]]);
+  }
+}
+
+const RULES = { hebrew:HEBREW, lxx:LXX };
+
+// { book, chapter, verse } numbered in `from` -> the same verse numbered in `to`
+export function mapVerse(ref, from=DEFAULT_SCHEME, to=DEFAULT_SCHEME){
+  if(from === to || ref.verse == null) return ref;
+  return fromEnglish(toEnglish(ref, from), to);
+}
+
+function toEnglish(ref, scheme){
+  // Runs "to the end of the chapter" overlap where a psalm is joined: the latest start wins
+  let best = null;
+  for(const rule of RULES[scheme] || []){
+    const [book, [, ef, el], [oc, of, count]] = rule;
+    if(book !== ref.book || oc !== ref.chapter || ref.verse < of) continue;
+    if((count ? ref.verse < of + count : ref.verse - of <= el - ef) && (!best || of > best[2][1])) best = rule;
+  }
+  if(!best) return ref;
+  const [, [ec, ef], [, of, count]] = best;
+  return { ...ref, chapter:ec, verse: count ? ef : ef + ref.verse - of };
+}
+function fromEnglish(ref, scheme){
+  for(const [book, [ec, ef, el], [oc, of]] of RULES[scheme] || []){
+    if(book === ref.book && ec === ref.chapter && ref.verse >= ef && ref.verse <= el){
+      return { ...ref, chapter:oc, verse:of + ref.verse - ef };
+    }
+  }
+  return ref;
+}
+
+// A passage (refs.js shape) in `from` numbering -> `to` numbering. A whole chapter stays a whole
+// chapter unless it starts part-way into one (English Psalm 10 is Greek Psalm 9:22–39)
+export function mapPassage(p, from=DEFAULT_SCHEME, to=DEFAULT_SCHEME){
+  if(from === to) return p;
+  if(p.verse != null){
+    const a = mapVerse({ book:p.book, chapter:p.chapter, verse:p.verse }, from, to);
+    const b = mapVerse({ book:p.book, chapter:p.endChapter, verse:p.endVerse ?? p.verse }, from, to);
+    return { ...p, chapter:a.chapter, verse:a.verse, endChapter:b.chapter, endVerse:b.verse };
+  }
+  const a = mapVerse({ book:p.book, chapter:p.chapter, verse:1 }, from, to);
+  const b = mapVerse({ book:p.book, chapter:p.endChapter, verse:1 }, from, to);
+  // Titles shift verse 1 by up to two: still the start of the chapter
+  return a.verse > 3 ? { ...p, chapter:a.chapter, verse:a.verse, endChapter:b.chapter, endVerse:null }
+    : { ...p, chapter:a.chapter, endChapter:Math.max(a.chapter, b.chapter) };
+}
+
+// Chapters of `book` in scheme `to` that hold verses of `chapter` in scheme `from`
+// (a superset: callers keep the verses that map back into the chapter)
+export function sourceChapters(book, chapter, from=DEFAULT_SCHEME, to=DEFAULT_SCHEME){
+  if(from === to) return [chapter];
+  const english = chaptersAcross(book, [chapter], from, 'toEnglish');
+  return [...new Set(chaptersAcross(book, english, to, 'fromEnglish'))].sort((a,b)=> a - b);
+}
+
+function chaptersAcross(book, chapters, scheme, dir){
+  const out = new Set();
+  for(const c of chapters){
+    let whole = false; // a rule covering the chapter from verse 1 to its end moves all of it
+    for(const [b, [ec, ef, el], [oc, of]] of RULES[scheme] || []){
+      if(b !== book) continue;
+      const [mine, theirs, first] = dir === 'fromEnglish' ? [ec, oc, ef] : [oc, ec, of];
+      if(mine !== c) continue;
+      out.add(theirs);
+      if(first === 1 && el === E) whole = true;
+    }
+    if(!whole) out.add(c);
+  }
+  return [...out];
+}
+
+// The verses of `chapter` (numbered in `base`) from a Bible numbered in `scheme`,
+// renumbered into `base`. getChapter(book, chapter) -> Promise<verses>
+export async function alignedChapter(book, chapter, scheme, base, getChapter){
+  if(scheme === base) return getChapter(book, chapter);
+  const out = [];
+  for(const c of sourceChapters(book, chapter, base, scheme)){
+    const verses = await getChapter(book, c).catch(()=> []);
+    for(const v of verses){
+      const m = mapVerse({ book, chapter:c, verse:v.verse }, scheme, base);
+      if(m.chapter === chapter) out.push({ ...v, chapter, verse:m.verse });
+    }
+  }
+  return out.sort((a,b)=> a.verse - b.verse);
+}
@@ -0,0 +1,82 @@
+// Translation registry
+// Each version has its own Data loader config (and therefore its own chapter cache).
+// Add an entry here and drop the files under data/ to make a translation available
+// (JSON, USFM, OSIS or Zefania; see data.js), or open a file at runtime (addLocalVersion).
+// Optional per entry: canon (canon.js id; default 'auto') and versification (versification.js
+// scheme; default 'english'); configureVersion() changes them at runtime.
+
+import { Data } from './data.js';
+import { DEFAULT_SCHEME } from './versification.js';
+
+export const VERSIONS = [
+  { id:'KJV', name:'King James Version',
+    inlineId:'kjv-json', singleFile:'data/kjv.json', perBookDir:'data/books/', canonFile:'data/canon.json' },
+  { id:'ASV', name:'American Standard Version',
+    singleFile:'data/asv.json', perBookDir:'data/asv/books/', canonFile:'data/canon.json' },
+  { id:'WEB', name:'World English Bible',
+    singleFile:'data/web.json', perBookDir:'data/web/books/', canonFile:'data/canon.json' },
+  { id:'YLT', name:"Young's Literal Translation",
+    singleFile:'data/ylt.json', perBookDir:'data/ylt/books/', canonFile:'data/canon.json' },
+];
+export const DEFAULT_VERSION = VERSIONS[0].id;
+
+export function findVersion(id){
+  const key = String(id ?? '').toUpperCase();
+  return VERSIONS.find(v=> v.id === key) || null;
+}
+
+const _loaded = new Map(); // id -> Promise<Data>
+export function loadVersion(id){
+  const cfg = findVersion(id);
+  if(!cfg) return Promise.reject(new Error(`Unknown translation: ${id}`));
+  if(!_loaded.has(cfg.id)){
+    const d = new Data(cfg);
+    const p = d.init().then(()=> d);
+    p.catch(()=>{ if(_loaded.get(cfg.id) === p) _loaded.delete(cfg.id); }); // try again on the next load
+    _loaded.set(cfg.id, p);
+  }
+  return _loaded.get(cfg.id);
+}
+
+// Verse numbering of a translation, known before it loads
+export function versificationOf(id){
+  return findVersion(id)?.versification || DEFAULT_SCHEME;
+}
+
+// New book order and/or verse numbering for a translation. A new canon reads the text again on the
+// next load (an opened file from the text kept in memory); the numbering applies to a loaded one as is.
+export function configureVersion(id, { canon, versification }={}){
+  const cfg = findVersion(id);
+  if(!cfg) return;
+  const prev = _loaded.get(cfg.id);
+  if(versification !== undefined){
+    cfg.versification = versification;
+    prev?.then((d)=>{ d.versification = versification; }, ()=>{});
+  }
+  if(canon === undefined || canon === (cfg.canon ?? 'auto')) return;
+  cfg.canon = canon;
+  _loaded.delete(cfg.id);
+  if(cfg.local && prev){
+    _loaded.set(cfg.id, prev.then(async (old)=>{
+      const d = new Data({ id:cfg.id, text:old.text, canon, versification:cfg.versification });
+      await d.init();
+      return d;
+    }));
+  }
+}
+
+// A Bible file the user opened (USFM, OSIS, Zefania or JSON), available for this session
+export async function addLocalVersion(file){
+  const text = await file.text();
+  const d = new Data({ id:null, text });
+  await d.init(); // throws when the file is not usable
+  const base = file.name.replace(/\.[^.]+$/, '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10);
+  const stem = /^[A-Z][A-Z0-9]+$/.test(base) && base !== 'COMPARE' ? base : `LOCAL${base}`;
+  let id = stem;
+  for(let n=2; findVersion(id); n++) id = `${stem}${n}`;
+  d.id = id;
+  const cfg = { id, name: d.title ? `${d.title} (${file.name})` : file.name, local:true };
+  VERSIONS.push(cfg);
+  _loaded.set(id, Promise.resolve(d));
+  return cfg;
+}
@@ -1,22 +1,41 @@
-// Offline shell cache + network-first JSON cache
-const SHELL_CACHE = 'sb-shell-v4';
-const DATA_CACHE  = 'sb-data-v2';
+// Offline shell cache + network-first JSON cache.
+// Paths are relative to the registration scope, so the app also works under a subpath.
+// A new version installs in the background and waits; the page asks it to take over
+// ({ type:'skip-waiting' }) once the user agrees to reload.
+const SHELL_CACHE = 'sb-shell-v22';
+const DATA_CACHE  = 'sb-data-v2'; // offline.js writes here too
 
 const SHELL = [
-  '/', '/index.html',
-  '/assets/styles.css',
-  '/src/app.js', '/src/data.js', '/src/search-worker.js',
-  '/manifest.webmanifest', '/favicon.svg'
+  './',
+  'assets/styles.css',
+  'src/app.js', 'src/data.js', 'src/search-worker.js', 'src/idb.js', 'src/query.js',
+  'src/versions.js', 'src/router.js', 'src/parallel.js',
+  'src/diff.js', 'src/compare.js', 'src/refs.js',
+  'src/ui.js', 'src/markdown.js', 'src/selection.js', 'src/annotations.js', 'src/annotations-ui.js',
+  'src/plans.js', 'src/plans-ui.js', 'src/history.js', 'src/continuous.js', 'src/formats.js', 'src/rich.js',
+  'src/lexicon.js', 'src/lexicon-ui.js', 'src/crossrefs.js', 'src/crossrefs-ui.js',
+  'src/concordance.js', 'src/concordance-ui.js', 'src/archaic.js',
+  'src/offline.js', 'src/offline-ui.js', 'src/citation.js', 'src/share-ui.js',
+  'src/readaloud.js', 'src/palette.js', 'src/diagnostics-ui.js',
+  'src/canon.js', 'src/versification.js',
 ];
+const SHELL_OPTIONAL = ['manifest.webmanifest', 'favicon.svg'];
+
+const scoped = (path)=> new URL(path, self.registration.scope).href;
 
 self.addEventListener('install', (e)=>{
+  // A missing shell file fails the install, and the current version stays in charge
   e.waitUntil((async()=>{
     const c = await caches.open(SHELL_CACHE);
-    try { await c.addAll(SHELL); } catch(_) { /* ok when hosted under a subpath */ }
-    self.skipWaiting();
+    await c.addAll(SHELL.map(scoped));
+    await Promise.all(SHELL_OPTIONAL.map(p=> c.add(scoped(p)).catch(()=>{})));
   })());
 });
 
+self.addEventListener('message', (e)=>{
+  if(e.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
 self.addEventListener('activate', (e)=>{
   e.waitUntil((async()=>{
     const keep = new Set([SHELL_CACHE, DATA_CACHE]);
@@ -30,9 +49,10 @@ self.addEventListener('activate', (e)=>{
 self.addEventListener('fetch', (e)=>{
   const url = new URL(e.request.url);
   if(url.origin !== location.origin) return;
+  const path = url.href.startsWith(self.registration.scope) ? url.href.slice(self.registration.scope.length) : null;
 
-  // JSON: network-first so new data wins without hard reload
-  if(url.pathname.endsWith('.json')){
+  // JSON and anything under data/ (USFM/XML texts, cross-references): network-first so new data wins without hard reload
+  if(url.pathname.endsWith('.json') || url.pathname.includes('/data/')){
     e.respondWith((async()=>{
       const cache = await caches.open(DATA_CACHE);
       try{
@@ -50,16 +70,21 @@ self.addEventListener('fetch', (e)=>{
   // Everything else: cache-first (fast shell)
   e.respondWith((async()=>{
     const cache = await caches.open(SHELL_CACHE);
-    const cached = await cache.match(e.request);
+    const cached = await cache.match(e.request, { ignoreSearch: e.request.mode === 'navigate' });
     if(cached) return cached;
     try{
       const res = await fetch(e.request);
-      if(res.ok && (url.pathname.startsWith('/assets/') || url.pathname.startsWith('/src/'))){
+      if(res.ok && path != null && (path.startsWith('assets/') || path.startsWith('src/'))){
         cache.put(e.request, res.clone());
       }
       return res;
     }catch{
-      return cached || new Response('Offline', { status: 503, statusText: 'Offline' });
+      // Offline navigation to any page of the app (e.g. index.html): serve the cached start page
+      if(e.request.mode === 'navigate'){
+        const start = await cache.match(scoped('./'));
+        if(start) return start;
+      }
+      return new Response('Offline', { status: 503, statusText: 'Offline' });
     }
   })());
 });